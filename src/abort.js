@@ -0,0 +1,128 @@
+/* Copyright (c) 2010 - 2018, Nordic Semiconductor ASA
+ *
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice, this
+ *    list of conditions and the following disclaimer.
+ *
+ * 2. Redistributions in binary form must reproduce the above copyright
+ *    notice, this list of conditions and the following disclaimer in the
+ *    documentation and/or other materials provided with the distribution.
+ *
+ * 3. Neither the name of Nordic Semiconductor ASA nor the names of its
+ *    contributors may be used to endorse or promote products derived from this
+ *    software without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY, AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL NORDIC SEMICONDUCTOR ASA OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+
+/**
+ * Helpers for cancelling operations by an AbortSignal given in the options,
+ * e.g. `setupDevice(device, { ..., signal: abortController.signal })`.
+ * Any object with an `aborted` property and `addEventListener`/`removeEventListener`
+ * functions is accepted as signal.
+ */
+
+export const ABORT_ERROR_CODE = 'ABORT_ERR';
+
+/**
+ * Creates the error with which cancelled operations are rejected.
+ *
+ * @param {string} [message] error message
+ * @returns {Error} error with name `AbortError` and code `ABORT_ERR`
+ */
+export function createAbortError(message = 'The operation was aborted') {
+    const error = new Error(message);
+    error.name = 'AbortError';
+    error.code = ABORT_ERROR_CODE;
+    return error;
+}
+
+/**
+ * Checks if an error was caused by cancellation.
+ *
+ * @param {Error} error the error to check
+ * @returns {boolean} true if the operation has been aborted
+ */
+export function isAbortError(error) {
+    return !!error && error.code === ABORT_ERROR_CODE;
+}
+
+/**
+ * Throws an abort error if the signal is already aborted.
+ *
+ * @param {AbortSignal} [signal] signal to check
+ * @returns {undefined}
+ */
+export function throwIfAborted(signal) {
+    if (signal && signal.aborted) {
+        throw createAbortError();
+    }
+}
+
+/**
+ * Registers a listener which is called once when the signal is aborted.
+ *
+ * @param {AbortSignal} [signal] signal to listen on
+ * @param {function} listener function to call on abort
+ * @returns {function} function that removes the listener
+ */
+export function onAbort(signal, listener) {
+    if (!signal) {
+        return () => {};
+    }
+    signal.addEventListener('abort', listener);
+    return () => signal.removeEventListener('abort', listener);
+}
+
+/**
+ * Makes a promise abortable: the returned promise rejects with an abort error
+ * as soon as the signal is aborted, and the cleanup function is called to
+ * release the resources used by the ongoing operation, e.g. closing a port.
+ *
+ * @param {AbortSignal} [signal] signal to listen on
+ * @param {Promise} promise the operation to wrap
+ * @param {function} [cleanup] called when the operation is aborted
+ * @returns {Promise} resolves or rejects as the given promise unless aborted first
+ */
+export function abortable(signal, promise, cleanup) {
+    if (!signal) {
+        return promise;
+    }
+    return new Promise((resolve, reject) => {
+        const abort = () => {
+            if (cleanup) {
+                cleanup();
+            }
+            reject(createAbortError());
+        };
+        if (signal.aborted) {
+            abort();
+            return;
+        }
+        const removeListener = onAbort(signal, abort);
+        promise.then(
+            result => {
+                removeListener();
+                resolve(result);
+            },
+            err => {
+                removeListener();
+                reject(err);
+            },
+        );
+    });
+}
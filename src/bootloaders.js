@@ -0,0 +1,237 @@
+/* Copyright (c) 2010 - 2018, Nordic Semiconductor ASA
+ *
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice, this
+ *    list of conditions and the following disclaimer.
+ *
+ * 2. Redistributions in binary form must reproduce the above copyright
+ *    notice, this list of conditions and the following disclaimer in the
+ *    documentation and/or other materials provided with the distribution.
+ *
+ * 3. Neither the name of Nordic Semiconductor ASA nor the names of its
+ *    contributors may be used to endorse or promote products derived from this
+ *    software without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY, AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL NORDIC SEMICONDUCTOR ASA OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+
+import path from 'path';
+import Debug from 'debug';
+import { readDfuPackage } from './dfuPackage';
+import { parseInitPacket } from './util/initPacket';
+
+const debug = Debug('device-setup:bootloaders');
+
+/**
+ * Policies of updating the bootloader, see options.bootloader of setupDevice
+ */
+export const BootloaderPolicy = {
+    // never check or update the bootloader
+    NEVER: 'never',
+    // update if the running bootloader is older, after confirmation
+    ASK: 'ask',
+    // update on every setup, regardless of the version, without confirmation
+    ALWAYS: 'always',
+    // update if the running bootloader is older, without confirmation
+    IF_OLDER_THAN: 'ifOlderThan',
+};
+
+const BASEPATH = path.dirname(require.resolve('.'));
+const BOOTLOADER_DIR = path.resolve(BASEPATH, '../bootloader');
+const PCA10059_BOOTLOADER = 'graviton_bootloader_v1.0.1-[nRF5_SDK_15.0.1-1.alpha_f76d012].zip';
+
+/**
+ * Registry of bootloader packages, keyed by board version (e.g. 'PCA10059') or
+ * USB product ID (e.g. '0x521F'), see normalizeKey.
+ */
+const registry = new Map();
+
+/**
+ * Bootloader packages which are only offered after confirmation, keyed like the
+ * registry. Nordic's open DFU bootloader has the USB product ID 0x521F on every
+ * board, so a package found by it may not fit the board.
+ */
+const fallbacks = new Map();
+
+/**
+ * Versions of the bootloader packages, keyed by package path,
+ * so that each package is read only once.
+ */
+const versionCache = new Map();
+
+/**
+ * Normalizes a registry key: board versions are case-insensitive, USB product
+ * IDs may be given as number or hexadecimal string.
+ *
+ * @param {string|number} key board version or USB product ID
+ * @returns {string} the key as used in the registry
+ */
+function normalizeKey(key) {
+    if (typeof key === 'number') {
+        return `0x${key.toString(16).toUpperCase().padStart(4, '0')}`;
+    }
+    if (/^0x[0-9a-f]+$/i.test(key)) {
+        return normalizeKey(parseInt(key, 16));
+    }
+    return String(key).toUpperCase();
+}
+
+/**
+ * Returns the keys by which a device can be found in the registry, in order
+ * of preference: board version first, then USB product ID.
+ *
+ * @param {object} device nrf-device-lister's device
+ * @returns {Array<string>} the normalized keys
+ */
+function keysOfDevice(device) {
+    const keys = [];
+    if (device.boardVersion) {
+        keys.push(normalizeKey(device.boardVersion));
+    }
+    if (device.usb) {
+        keys.push(normalizeKey(device.usb.device.deviceDescriptor.idProduct));
+    } else if (device.serialport && device.serialport.productId) {
+        keys.push(normalizeKey(parseInt(device.serialport.productId, 16)));
+    }
+    return keys;
+}
+
+/**
+ * Registers a bootloader package to be installed on devices of the given board
+ * version or USB product ID, replacing the one registered before.
+ *
+ * @example
+ * registerBootloader('PCA10059', path.resolve(__dirname, 'bootloader/pca10059.zip'));
+ * registerBootloader(0xC00A, path.resolve(__dirname, 'bootloader/my-board.zip'));
+ *
+ * @param {string|number} key board version or USB product ID
+ * @param {string} packagePath path of the DFU zip package of the bootloader
+ * @returns {undefined}
+ */
+export function registerBootloader(key, packagePath) {
+    registry.set(normalizeKey(key), packagePath);
+}
+
+/**
+ * Removes the bootloader package registered for the given board version or USB product ID.
+ *
+ * @param {string|number} key board version or USB product ID
+ * @returns {boolean} true if a package was registered
+ */
+export function unregisterBootloader(key) {
+    return registry.delete(normalizeKey(key));
+}
+
+/**
+ * Finds the first key of the given devices which is in the given map.
+ *
+ * @param {Map} packages registry or fallbacks
+ * @param {Array<object>} devices nrf-device-lister's devices
+ * @returns {Object|null} { key, path } of the bootloader package, or null if there is none
+ */
+function findPackage(packages, devices) {
+    const key = devices
+        .filter(device => device)
+        .reduce((keys, device) => keys.concat(keysOfDevice(device)), [])
+        .find(deviceKey => packages.has(deviceKey));
+    if (key === undefined) {
+        return null;
+    }
+    return { key, path: packages.get(key) };
+}
+
+/**
+ * Finds the bootloader package registered for the first of the given devices
+ * which has one, e.g. the device as selected and the same device in bootloader mode.
+ *
+ * @param {...object} devices nrf-device-lister's devices
+ * @returns {Object|null} { key, path } of the bootloader package, or null if none is registered
+ */
+export function findBootloader(...devices) {
+    return findPackage(registry, devices);
+}
+
+/**
+ * Returns the bootloader update policy of the bootloader options of setupDevice.
+ *
+ * @param {Object} [bootloaderOptions] { package, version, policy }
+ * @returns {string} the policy, BootloaderPolicy.ASK if not set
+ */
+export function getBootloaderPolicy(bootloaderOptions) {
+    const policy = (bootloaderOptions && bootloaderOptions.policy) || BootloaderPolicy.ASK;
+    if (!Object.keys(BootloaderPolicy).some(key => BootloaderPolicy[key] === policy)) {
+        throw new Error(`Unknown bootloader policy ${policy}, expected one of `
+            + `${Object.keys(BootloaderPolicy).map(key => BootloaderPolicy[key]).join(', ')}`);
+    }
+    return policy;
+}
+
+/**
+ * Resolves the bootloader package to be installed on a device: the package of
+ * the bootloader options of setupDevice if given, otherwise the registered one.
+ * The bundled PCA10059 bootloader is also found by the product ID of Nordic's open
+ * DFU bootloader, but only with policy `ask`, so that it isn't installed on other
+ * boards without confirmation.
+ *
+ * @param {Object} [bootloaderOptions] { package, version, policy }
+ * @param {...object} devices nrf-device-lister's devices, see findBootloader
+ * @returns {Object|null} { key, path, version, policy } where key is null and
+ * version may be given for packages of the options, or null if there is no package
+ */
+export function resolveBootloader(bootloaderOptions, ...devices) {
+    const policy = getBootloaderPolicy(bootloaderOptions);
+    const options = bootloaderOptions || {};
+    if (options.package) {
+        return {
+            key: null,
+            path: options.package,
+            version: (options.version == null) ? null : options.version,
+            policy,
+        };
+    }
+    const bootloader = findBootloader(...devices)
+        || (policy === BootloaderPolicy.ASK && findPackage(fallbacks, devices));
+    return bootloader ? Object.assign(bootloader, { version: null, policy }) : null;
+}
+
+/**
+ * Reads the version of the bootloader in a DFU zip package from the init
+ * packet of its bootloader update.
+ *
+ * @param {string|Buffer} packagePath path or contents of the DFU zip package
+ * @returns {Promise<number>} resolves with the version of the bootloader
+ */
+export async function getBootloaderPackageVersion(packagePath) {
+    if (!versionCache.has(packagePath)) {
+        const updates = await readDfuPackage(packagePath);
+        const update = updates.find(({ name }) => (
+            name === 'bootloader' || name === 'softdevice_bootloader'
+        ));
+        if (!update) {
+            throw new Error('Bootloader package contains no bootloader update');
+        }
+        const { fwVersion } = parseInitPacket(update.initPacket).initPacket;
+        debug(`Bootloader version of package is ${fwVersion}`);
+        versionCache.set(packagePath, fwVersion);
+    }
+    return versionCache.get(packagePath);
+}
+
+// The bundled bootloader of the nRF52840 dongle, which is offered as fallback
+// for devices with the product ID of Nordic's open DFU bootloader
+registerBootloader('PCA10059', path.resolve(BOOTLOADER_DIR, PCA10059_BOOTLOADER));
+fallbacks.set(normalizeKey(0x521F), path.resolve(BOOTLOADER_DIR, PCA10059_BOOTLOADER));
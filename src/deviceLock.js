@@ -0,0 +1,277 @@
+/* Copyright (c) 2010 - 2018, Nordic Semiconductor ASA
+ *
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice, this
+ *    list of conditions and the following disclaimer.
+ *
+ * 2. Redistributions in binary form must reproduce the above copyright
+ *    notice, this list of conditions and the following disclaimer in the
+ *    documentation and/or other materials provided with the distribution.
+ *
+ * 3. Neither the name of Nordic Semiconductor ASA nor the names of its
+ *    contributors may be used to endorse or promote products derived from this
+ *    software without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY, AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL NORDIC SEMICONDUCTOR ASA OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import Debug from 'debug';
+import { abortable, throwIfAborted } from './abort';
+
+const debug = Debug('device-setup:lock');
+
+const LOCK_FILE_POLL_INTERVAL = 200;
+
+/**
+ * Locks keyed by serial number, so that operations which reset or open a device,
+ * e.g. setupDevice and ensureBootloaderMode, don't interfere with each other.
+ * Each entry holds the promise the next operation waits for and the number of
+ * operations that are running or queued for the device.
+ */
+const locks = new Map();
+
+function createBusyError(serialNumber) {
+    const error = new Error(`Device ${serialNumber} is busy with another operation`);
+    error.code = 'DEVICE_BUSY';
+    return error;
+}
+
+function createTimeoutError(serialNumber) {
+    const error = new Error(`Timeout while waiting for device ${serialNumber} to be unlocked`);
+    error.code = 'DEVICE_BUSY';
+    return error;
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Queues an operation on the in-process lock of the device.
+ *
+ * @param {string} serialNumber serial number of the device
+ * @param {boolean} wait whether to queue the operation if the device is locked
+ * @returns {Object} { turn, release }, turn resolves when the operation may start,
+ * release must be called once the operation is done or gave up waiting
+ */
+function acquireLocalLock(serialNumber, wait) {
+    let lock = locks.get(serialNumber);
+    if (lock && !wait) {
+        throw createBusyError(serialNumber);
+    }
+    if (!lock) {
+        lock = { tail: Promise.resolve(), holders: 0 };
+        locks.set(serialNumber, lock);
+    }
+    let resolveReleased;
+    const released = new Promise(resolve => { resolveReleased = resolve; });
+    const turn = lock.tail;
+    lock.tail = turn.then(() => released);
+    lock.holders += 1;
+
+    let isReleased = false;
+    const release = () => {
+        if (isReleased) {
+            return;
+        }
+        isReleased = true;
+        lock.holders -= 1;
+        if (lock.holders === 0) {
+            locks.delete(serialNumber);
+        }
+        resolveReleased();
+    };
+    return { turn, release };
+}
+
+/**
+ * Waits for the turn of an operation, optionally limited by a timeout.
+ *
+ * @param {Promise} turn promise which resolves when the operation may start
+ * @param {string} serialNumber serial number of the device
+ * @param {number} [timeout] maximum time to wait in milliseconds
+ * @param {AbortSignal} [signal] signal to cancel waiting
+ * @returns {Promise} resolves when the operation may start
+ */
+function waitForTurn(turn, serialNumber, timeout, signal) {
+    if (timeout === undefined) {
+        return abortable(signal, turn);
+    }
+    let timer;
+    const timedOut = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(createTimeoutError(serialNumber)), timeout);
+    });
+    return abortable(signal, Promise.race([turn, timedOut])).then(
+        () => clearTimeout(timer),
+        err => {
+            clearTimeout(timer);
+            throw err;
+        },
+    );
+}
+
+function isProcessAlive(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (err) {
+        // EPERM: the process exists but belongs to another user
+        return err.code === 'EPERM';
+    }
+}
+
+function removeLockFile(file) {
+    try {
+        fs.unlinkSync(file);
+    } catch (err) {
+        if (err.code !== 'ENOENT') {
+            debug(`Lock file ${file} couldn't be removed: ${err.message}`);
+        }
+    }
+}
+
+/**
+ * Tries to create the lock file exclusively and writes the pid of this process into it.
+ * A lock file left behind by a process which doesn't run anymore is removed.
+ *
+ * @param {string} file path of the lock file
+ * @returns {boolean} true if the lock file was created
+ */
+function tryCreateLockFile(file) {
+    try {
+        const fd = fs.openSync(file, 'wx');
+        fs.writeSync(fd, String(process.pid));
+        fs.closeSync(fd);
+        return true;
+    } catch (err) {
+        if (err.code !== 'EEXIST') {
+            throw err;
+        }
+    }
+    let pid;
+    try {
+        pid = parseInt(fs.readFileSync(file, 'utf8'), 10);
+    } catch (err) {
+        if (err.code === 'ENOENT') {
+            // released in the meantime
+            return tryCreateLockFile(file);
+        }
+        throw err;
+    }
+    // the pid may not be written yet if the owner has just created the file
+    if (Number.isNaN(pid) || pid === process.pid || isProcessAlive(pid)) {
+        return false;
+    }
+    debug(`Removing stale lock file ${file} of process ${pid}`);
+    removeLockFile(file);
+    return tryCreateLockFile(file);
+}
+
+/**
+ * Acquires the lock file of the device, polling until the other process released it.
+ *
+ * @param {string} file path of the lock file
+ * @param {string} serialNumber serial number of the device
+ * @param {boolean} wait whether to wait if the device is locked by another process
+ * @param {number} [deadline] Date.now() value after which waiting fails
+ * @param {AbortSignal} [signal] signal to cancel waiting
+ * @returns {Promise} resolves when the lock file was created
+ */
+async function acquireLockFile(file, serialNumber, wait, deadline, signal) {
+    while (!tryCreateLockFile(file)) {
+        if (!wait) {
+            throw createBusyError(serialNumber);
+        }
+        if (deadline !== undefined && Date.now() >= deadline) {
+            throw createTimeoutError(serialNumber);
+        }
+        debug(`Device ${serialNumber} is locked by another process, waiting`);
+        /* eslint-disable-next-line no-await-in-loop */
+        await abortable(signal, sleep(LOCK_FILE_POLL_INTERVAL));
+    }
+}
+
+/**
+ * Runs an operation on a device exclusively. Overlapping operations on the same
+ * serial number are queued, or rejected with an error whose code is `DEVICE_BUSY`
+ * if `lock.wait` is false. With `lock.lockDir` the device is also locked against
+ * other processes by a lock file in that directory, which is removed afterwards,
+ * or when found by another process after this one has exited.
+ *
+ * @example
+ * await withDeviceLock(device.serialNumber, () => flashSomething(device), {
+ *     lock: { wait: true, timeout: 60000, lockDir: os.tmpdir() },
+ *     signal: abortController.signal,
+ * });
+ *
+ * @param {string} serialNumber serial number of the device
+ * @param {function} fn operation returning a promise
+ * @param {Object} [options] May include { lock: { wait, timeout, lockDir }, signal }
+ * @returns {Promise} resolves or rejects as the promise returned by fn
+ */
+export async function withDeviceLock(serialNumber, fn, options = {}) {
+    const { wait = true, timeout, lockDir } = options.lock || {};
+    const { signal } = options;
+    throwIfAborted(signal);
+    if (!serialNumber) {
+        return fn();
+    }
+    const deadline = (timeout === undefined) ? undefined : Date.now() + timeout;
+    const file = lockDir ? path.join(lockDir, `nrf-device-setup-${serialNumber}.lock`) : null;
+
+    const { turn, release } = acquireLocalLock(serialNumber, wait);
+    try {
+        await waitForTurn(turn, serialNumber, timeout, signal);
+        if (file) {
+            await acquireLockFile(file, serialNumber, wait, deadline, signal);
+        }
+    } catch (err) {
+        release();
+        throw err;
+    }
+    debug(`Device ${serialNumber} locked`);
+
+    const unlock = () => {
+        if (file) {
+            removeLockFile(file);
+        }
+        release();
+        debug(`Device ${serialNumber} unlocked`);
+    };
+    return Promise.resolve().then(fn).then(
+        result => {
+            unlock();
+            return result;
+        },
+        err => {
+            unlock();
+            throw err;
+        },
+    );
+}
+
+/**
+ * Checks if an operation is running or queued for the device in this process.
+ *
+ * @param {string} serialNumber serial number of the device
+ * @returns {boolean} true if the device is locked
+ */
+export function isDeviceLocked(serialNumber) {
+    return locks.has(serialNumber);
+}
@@ -0,0 +1,132 @@
+/* Copyright (c) 2010 - 2018, Nordic Semiconductor ASA
+ *
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice, this
+ *    list of conditions and the following disclaimer.
+ *
+ * 2. Redistributions in binary form must reproduce the above copyright
+ *    notice, this list of conditions and the following disclaimer in the
+ *    documentation and/or other materials provided with the distribution.
+ *
+ * 3. Neither the name of Nordic Semiconductor ASA nor the names of its
+ *    contributors may be used to endorse or promote products derived from this
+ *    software without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY, AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL NORDIC SEMICONDUCTOR ASA OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+
+import Debug from 'debug';
+import { abortable } from './abort';
+
+const debug = Debug('device-setup:dfu-keys');
+
+/**
+ * Checks whether a dfu definition built for hwVersion fits the part of the chip.
+ * hwVersion is the family as decimal number, e.g. 52, while the part carries the
+ * family in its leading hex digits, e.g. 0x52840 or 0x5340 for 52 and 53.
+ *
+ * @param {number} part part of the chip as reported by the bootloader
+ * @param {number} hwVersion hardware version of the dfu definition
+ * @returns {boolean} true if the definition fits the part
+ */
+function fitsHardwareVersion(part, hwVersion) {
+    const version = Number(hwVersion);
+    if (part === version) {
+        return true;
+    }
+    let family = part;
+    while (family >= 0x100) {
+        family = Math.floor(family / 0x10);
+    }
+    return family === (Math.floor(version / 10) * 0x10) + (version % 10);
+}
+
+/**
+ * Finds the keys of the dfu definitions which match the device, by board version,
+ * USB product string or USB product ID (as hex string, e.g. '0x521F') of the device,
+ * in this order of specificity. The keys are case-insensitive. If no key matches,
+ * all definitions are candidates. If the part of the chip is known, definitions
+ * whose params.hwVersion (default 52) doesn't fit the part, e.g. 52 and 0x52840,
+ * are left out.
+ *
+ * @param {Object} dfu dfu definitions from the options
+ * @param {Object} device nrf-device-lister's device
+ * @param {number|null} [part] part of the chip as reported by the bootloader, e.g. 0x52840
+ * @returns {Array<string>} keys of the matching definitions
+ */
+export function findDfuKeys(dfu, device, part) {
+    const keys = Object.keys(dfu);
+    const boardVersion = (device.boardVersion || '').toLowerCase();
+    const product = ((device.usb && device.usb.product) || '').toLowerCase();
+    let productId;
+    if (device.usb) {
+        productId = device.usb.device.deviceDescriptor.idProduct;
+    } else if (device.serialport && device.serialport.productId) {
+        productId = parseInt(device.serialport.productId, 16);
+    }
+    const isProductId = key => (
+        /^0x[0-9a-f]+$/i.test(key) && parseInt(key, 16) === productId
+    );
+
+    const matchingKeys = [
+        keys.filter(k => boardVersion && k.toLowerCase() === boardVersion),
+        keys.filter(k => product && k.toLowerCase() === product),
+        keys.filter(isProductId),
+    ].find(matches => matches.length > 0) || keys;
+
+    if (part == null) {
+        return matchingKeys;
+    }
+    return matchingKeys.filter(k => {
+        const { hwVersion = 52 } = dfu[k].params || {};
+        return fitsHardwareVersion(part, hwVersion);
+    });
+}
+
+/**
+ * Selects the dfu definition to program, see findDfuKeys. The user is only asked
+ * to choose by promiseChoice if several definitions match the device, without
+ * promiseChoice the last one is taken.
+ *
+ * @param {Object} dfu dfu definitions from the options
+ * @param {Object} device nrf-device-lister's device
+ * @param {number|null} [part] part of the chip as reported by the bootloader
+ * @param {function} [promiseChoice] Promise returning function
+ * @param {AbortSignal} [signal] rejects if aborted while waiting for the choice
+ * @returns {Promise<string>} key of the selected definition
+ */
+export async function selectDfuKey(dfu, device, part, promiseChoice, signal) {
+    const keys = Object.keys(dfu);
+    if (keys.length === 1) {
+        return keys[0];
+    }
+    const candidates = findDfuKeys(dfu, device, part);
+    if (candidates.length === 0) {
+        throw new Error('No firmware defined for selected device');
+    }
+    debug(`Dfu definitions matching the device: ${candidates.join(', ')}`);
+    if (candidates.length > 1 && promiseChoice) {
+        return abortable(
+            signal,
+            Promise.resolve(promiseChoice('Which firmware do you want to program?', candidates)),
+        );
+    }
+    if (candidates.length > 1) {
+        debug(`No promiseChoice given, taking the last of ${candidates.join(', ')}`);
+    }
+    return candidates[candidates.length - 1];
+}
@@ -0,0 +1,323 @@
+/* Copyright (c) 2010 - 2018, Nordic Semiconductor ASA
+ *
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice, this
+ *    list of conditions and the following disclaimer.
+ *
+ * 2. Redistributions in binary form must reproduce the above copyright
+ *    notice, this list of conditions and the following disclaimer in the
+ *    documentation and/or other materials provided with the distribution.
+ *
+ * 3. Neither the name of Nordic Semiconductor ASA nor the names of its
+ *    contributors may be used to endorse or promote products derived from this
+ *    software without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY, AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL NORDIC SEMICONDUCTOR ASA OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+
+import fs from 'fs';
+import JSZip from 'jszip';
+import { loadMemoryMap } from './util/firmwareFile';
+import { MBR_SIZE, REGISTERS_START } from './imageLayout';
+import {
+    InitPacket,
+    FwType,
+    HashType,
+    calculateFirmwareHash,
+    createInitPacketUint8Array,
+    createSignedInitPacketUint8Array,
+} from './util/initPacket';
+
+/**
+ * Loads firmware image from HEX, ELF, UF2 or raw binary file, see loadMemoryMap
+ *
+ * @param {Buffer|string|Object} firmware contents of file if Buffer, path of file if string,
+ * or { file, format, baseAddress }
+ * @param {number} [minAddress] data below this address is left out
+ * @param {number} [maxAddress] data from this address on is left out, e.g. beyond flash
+ * @return {Uint8Array} the loaded firmware
+ */
+export function parseFirmwareImage(firmware, minAddress = 0, maxAddress = REGISTERS_START) {
+    const memMap = loadMemoryMap(firmware).slice(minAddress, maxAddress - minAddress);
+    let startAddress;
+    let endAddress;
+    memMap.forEach((block, address) => {
+        startAddress = (startAddress === undefined) ? address : startAddress;
+        endAddress = address + block.length;
+    });
+    if (startAddress === undefined) {
+        throw new Error('Firmware file contains no firmware data');
+    }
+    return memMap.slicePad(startAddress, Math.ceil((endAddress - startAddress) / 4) * 4);
+}
+
+/**
+ * Concatenates firmware images, as expected by the bootloader for a combined
+ * SoftDevice and bootloader update.
+ *
+ * @param {Array<Uint8Array>} images the images to concatenate
+ * @returns {Uint8Array} the combined image
+ */
+function concatImages(images) {
+    const combined = new Uint8Array(images.reduce((size, image) => size + image.length, 0));
+    images.reduce((offset, image) => {
+        combined.set(image, offset);
+        return offset + image.length;
+    }, 0);
+    return combined;
+}
+
+/**
+ * Resolves the hash type of the init packets from params.hashType, which may be
+ * a HashType value or its name. SHA256 is used if not set.
+ *
+ * @param {Object} params the params of the dfu definition
+ * @param {KeyObject|Buffer|string} [signingKey] the key the packets are signed with
+ * @returns {HashType} the hash type
+ */
+function getHashType(params, signingKey) {
+    if (params.hashType == null) {
+        return HashType.SHA256;
+    }
+    const hashType = (typeof params.hashType === 'string')
+        ? HashType[params.hashType]
+        : params.hashType;
+    if (![HashType.CRC, HashType.SHA256, HashType.SHA512].includes(hashType)) {
+        throw new Error(`Unsupported hash type ${params.hashType}, use CRC, SHA256 or SHA512`);
+    }
+    if (hashType === HashType.CRC && signingKey) {
+        throw new Error('CRC hash can not be used with signingKey, use SHA256 or SHA512');
+    }
+    return hashType;
+}
+
+/**
+ * Loads the images of a dfu definition and creates the init packet for each.
+ * The updates are ordered as the bootloader expects them: SoftDevice and/or
+ * bootloader first, then application. If both softdevice and bootloader are
+ * given, they are combined into one softdevice_bootloader update.
+ *
+ * The params follow the meaning of nrfutil's options:
+ * `sdReq` are the SoftDevice requirements of the SoftDevice or bootloader update,
+ * `sdId` the requirements of the application. `fwVersion` is the version of the
+ * application, `blVersion` the version of the bootloader. `hashType` selects
+ * the hash of the images: CRC, SHA256 (default) or SHA512.
+ *
+ * @param {Object} dfu object with { application, softdevice, bootloader, params, signingKey }
+ * where the images are file paths or contents, or { file, format, baseAddress },
+ * see parseFirmwareImage
+ * @param {number} [flashSize] flash size of the device, data beyond is left out
+ * @returns {Array<Object>} [{ name, initPacket, firmwareImage }] where name is
+ * the key of the update in the manifest of nrfutil packages. The combined update
+ * also has the sizes of its parts as `metadata`.
+ */
+export function createFirmwareUpdates(dfu, flashSize = REGISTERS_START) {
+    const {
+        application, softdevice, bootloader, signingKey,
+    } = dfu;
+    const params = dfu.params || {};
+    const hwVersion = params.hwVersion || 52;
+    const hashType = getHashType(params, signingKey);
+
+    // signed packets are meant for production bootloaders, so they are not debug
+    // packets unless explicitly requested
+    const createPacket = initPacketParams => (
+        signingKey
+            ? createSignedInitPacketUint8Array(
+                initPacketParams.set('isDebug', params.isDebug === true),
+                signingKey,
+            )
+            : createInitPacketUint8Array(initPacketParams)
+    );
+    const createUpdate = (name, firmwareImage, initPacketParams) => ({
+        name,
+        initPacket: createPacket(initPacketParams
+            .set('hwVersion', hwVersion)
+            .set('hashType', hashType)
+            .set('hash', calculateFirmwareHash(hashType, firmwareImage))),
+        firmwareImage,
+    });
+
+    const updates = [];
+    const softdeviceImage = softdevice && parseFirmwareImage(softdevice, MBR_SIZE, flashSize);
+    const bootloaderImage = bootloader && parseFirmwareImage(bootloader, 0, flashSize);
+
+    if (softdeviceImage && bootloaderImage) {
+        updates.push(Object.assign(createUpdate(
+            'softdevice_bootloader',
+            concatImages([softdeviceImage, bootloaderImage]),
+            new InitPacket()
+                .set('fwType', FwType.SOFTDEVICE_BOOTLOADER)
+                .set('fwVersion', params.blVersion || 0)
+                .set('sdSize', softdeviceImage.length)
+                .set('blSize', bootloaderImage.length)
+                .set('sdReq', params.sdReq || []),
+        ), {
+            metadata: { bl_size: bootloaderImage.length, sd_size: softdeviceImage.length },
+        }));
+    } else if (softdeviceImage) {
+        updates.push(createUpdate(
+            'softdevice',
+            softdeviceImage,
+            new InitPacket()
+                .set('fwType', FwType.SOFTDEVICE)
+                .set('fwVersion', 0xffffffff)
+                .set('sdSize', softdeviceImage.length)
+                .set('sdReq', params.sdReq || []),
+        ));
+    } else if (bootloaderImage) {
+        updates.push(createUpdate(
+            'bootloader',
+            bootloaderImage,
+            new InitPacket()
+                .set('fwType', FwType.BOOTLOADER)
+                .set('fwVersion', params.blVersion || 0)
+                .set('blSize', bootloaderImage.length)
+                .set('sdReq', params.sdReq || []),
+        ));
+    }
+
+    if (application) {
+        const firmwareImage = parseFirmwareImage(application, 0, flashSize);
+        updates.push(createUpdate(
+            'application',
+            firmwareImage,
+            new InitPacket()
+                .set('fwType', FwType.APPLICATION)
+                .set('fwVersion', params.fwVersion || 4)
+                .set('appSize', firmwareImage.length)
+                .set('sdReq', params.sdId || []),
+        ));
+    }
+
+    return updates;
+}
+
+/**
+ * Creates a DFU zip package, like `nrfutil pkg generate` does, which can be
+ * used with DfuUpdates.fromZipFile of pc-nrf-dfu-js or with nrfutil.
+ * The package contains a .bin and a .dat file for each update and a
+ * manifest.json referring to them.
+ *
+ * @example
+ * await createDfuPackage({
+ *     application: 'app.hex',
+ *     softdevice: 's140_nrf52_6.1.1_softdevice.hex',
+ *     params: { hwVersion: 52, fwVersion: 1, sdReq: [0], sdId: [0xB6] },
+ *     signingKey: 'private.pem',
+ * }, 'package.zip');
+ *
+ * @param {Object} dfu object with { application, softdevice, bootloader, params, signingKey },
+ * see createFirmwareUpdates
+ * @param {string} [zipPath] path of the zip file to write
+ * @returns {Promise<Buffer>} resolves with the contents of the zip file
+ */
+export async function createDfuPackage(dfu, zipPath) {
+    const updates = createFirmwareUpdates(dfu);
+    if (updates.length === 0) {
+        throw new Error('No application, softdevice or bootloader given for the package');
+    }
+
+    const zip = new JSZip();
+    const manifest = {};
+    updates.forEach(({
+        name, initPacket, firmwareImage, metadata,
+    }) => {
+        const binFile = `${name}.bin`;
+        const datFile = `${name}.dat`;
+        zip.file(binFile, firmwareImage);
+        zip.file(datFile, initPacket);
+        manifest[name] = { bin_file: binFile, dat_file: datFile };
+        if (metadata) {
+            manifest[name].info_read_only_metadata = metadata;
+        }
+    });
+    zip.file('manifest.json', JSON.stringify({ manifest }, null, 4));
+
+    const contents = await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+    if (zipPath) {
+        await new Promise((resolve, reject) => {
+            fs.writeFile(zipPath, contents, err => (err ? reject(err) : resolve()));
+        });
+    }
+    return contents;
+}
+
+/**
+ * Order in which the updates of a DFU package are sent, as nrfutil does:
+ * the bootloader has to accept an application only after the softdevice it requires.
+ */
+const UPDATE_ORDER = ['softdevice_bootloader', 'softdevice', 'bootloader', 'application'];
+
+function getUpdateRank(name) {
+    const rank = UPDATE_ORDER.indexOf(name);
+    return (rank === -1) ? UPDATE_ORDER.length : rank;
+}
+
+/**
+ * Reads the updates of a DFU zip package created by nrfutil or createDfuPackage.
+ * The updates are sorted by type in the order nrfutil sends them, regardless of
+ * the order in the manifest, which nrfutil writes with sorted keys.
+ *
+ * @param {Buffer|string} zipFile contents of zip file if Buffer otherwise path of zip file
+ * @returns {Promise<Array<Object>>} resolves with [{ name, initPacket, firmwareImage }]
+ */
+export async function readDfuPackage(zipFile) {
+    const contents = (zipFile instanceof Buffer)
+        ? zipFile
+        : await new Promise((resolve, reject) => {
+            fs.readFile(zipFile, (err, data) => (err ? reject(err) : resolve(data)));
+        });
+    const zip = await JSZip.loadAsync(contents);
+    const manifestFile = zip.file('manifest.json');
+    if (!manifestFile) {
+        throw new Error('DFU package has no manifest.json');
+    }
+    const { manifest } = JSON.parse(await manifestFile.async('text'));
+
+    const names = Object.keys(manifest)
+        .sort((a, b) => getUpdateRank(a) - getUpdateRank(b));
+    return Promise.all(names.map(async name => {
+        const { dat_file: datFile, bin_file: binFile } = manifest[name];
+        if (!zip.file(datFile) || !zip.file(binFile)) {
+            throw new Error(`DFU package is missing files of ${name}`);
+        }
+        return {
+            name,
+            initPacket: await zip.file(datFile).async('uint8array'),
+            firmwareImage: await zip.file(binFile).async('uint8array'),
+        };
+    }));
+}
+
+/**
+ * Loads the updates of a dfu definition, which either refers to a DFU zip
+ * package by `package` or to firmware files by `application`, `softdevice` and `bootloader`.
+ *
+ * @param {Object} dfu the dfu definition
+ * @param {number} [flashSize] flash size of the device, see createFirmwareUpdates
+ * @returns {Promise<Array<Object>>} resolves with [{ name, initPacket, firmwareImage }]
+ */
+export async function loadFirmwareUpdates(dfu, flashSize) {
+    if (!dfu.package) {
+        return createFirmwareUpdates(dfu, flashSize);
+    }
+    if (dfu.application || dfu.softdevice || dfu.bootloader) {
+        throw new Error('Either package or application, softdevice and bootloader can be set');
+    }
+    return readDfuPackage(dfu.package);
+}
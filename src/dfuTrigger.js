@@ -34,6 +34,7 @@
 import os from 'os';
 import usb from 'usb';
 import Debug from 'debug';
+import { createAbortError, onAbort } from './abort';
 
 const debug = Debug('device-setup:trigger');
 
@@ -212,34 +213,52 @@ const sendDetachRequest = openDecorator((usbdev, interfaceNumber) => (
  *
  * @param {Device} usbdev Instance of USB's Device
  * @param {number} timeout Timeout, in milliseconds, to wait for device detachment
+ * @param {Object} [options] May include { signal } to abort waiting for the detachment
  * @return {Promise} Resolves to undefined
  */
-export function detach(usbdev, timeout = 5000) {
+export function detach(usbdev, timeout = 5000, options = {}) {
     debug('detach', timeout);
+    const { signal } = options;
     return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            reject(createAbortError());
+            return;
+        }
+
         let timeoutId;
+        let removeAbortListener;
+        function cleanup() {
+            clearTimeout(timeoutId);
+            usb.removeListener('detach', checkDetachment); // eslint-disable-line no-use-before-define
+            removeAbortListener();
+        }
+
         function checkDetachment(detachedDev) {
             if (usbdev === detachedDev) {
                 debug('Detachment successful');
-                clearTimeout(timeoutId);
-                usb.removeListener('detach', checkDetachment);
+                cleanup();
                 resolve();
             }
         }
 
         timeoutId = setTimeout(() => {
             debug('Timeout when waiting for USB detach event');
-            usb.removeListener('detach', checkDetachment);
+            cleanup();
             reject(new Error('USB detach request sent, timeout while waiting for device reboot'));
         }, timeout);
 
+        removeAbortListener = onAbort(signal, () => {
+            debug('Aborted while waiting for USB detach event');
+            cleanup();
+            reject(createAbortError());
+        });
+
         usb.on('detach', checkDetachment);
         const dfuIface = getDFUInterfaceNumber(usbdev);
 
         sendDetachRequest(usbdev, dfuIface).catch(err => {
             debug('Error when sending detach request');
-            clearTimeout(timeoutId);
-            usb.removeListener('detach', checkDetachment);
+            cleanup();
             reject(err);
         });
     });
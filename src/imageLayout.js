@@ -0,0 +1,183 @@
+/* Copyright (c) 2010 - 2018, Nordic Semiconductor ASA
+ *
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice, this
+ *    list of conditions and the following disclaimer.
+ *
+ * 2. Redistributions in binary form must reproduce the above copyright
+ *    notice, this list of conditions and the following disclaimer in the
+ *    documentation and/or other materials provided with the distribution.
+ *
+ * 3. Neither the name of Nordic Semiconductor ASA nor the names of its
+ *    contributors may be used to endorse or promote products derived from this
+ *    software without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY, AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL NORDIC SEMICONDUCTOR ASA OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+
+import MemoryMap from 'nrf-intel-hex';
+import { loadMemoryMap } from './util/firmwareFile';
+
+/**
+ * @const {number} MBR_SIZE Size of the Master Boot Record at the start of flash,
+ * SoftDevice HEX files contain it, but it is not part of the SoftDevice update
+ */
+export const MBR_SIZE = 0x1000;
+/**
+ * @const {number} REGISTERS_START Start of FICR and UICR, records from here on,
+ * like the bootloader start address in UICR, are not part of DFU images
+ */
+export const REGISTERS_START = 0x10000000;
+
+const hex = value => `0x${value.toString(16).toUpperCase()}`;
+const rangeToString = ({ start, end }) => `${hex(start)}-${hex(end)}`;
+const overlaps = (a, b) => a.start < b.end && b.start < a.end;
+
+/**
+ * Returns the address range covered by a memory map from its first to its last byte.
+ *
+ * @param {MemoryMap} memMap the memory map
+ * @returns {Object|null} { start, end } or null if the memory map is empty
+ */
+function spanOf(memMap) {
+    let start;
+    let end;
+    memMap.forEach((block, address) => {
+        start = (start === undefined) ? address : Math.min(start, address);
+        end = (end === undefined) ? address + block.length : Math.max(end, address + block.length);
+    });
+    return (start === undefined) ? null : { start, end };
+}
+
+/**
+ * Analyzes the images of a dfu definition and checks that they fit into the flash
+ * layout of the device. The images are padded from their first to their last
+ * address when sent, so the whole span of each image is checked:
+ *  - no image may overlap the MBR,
+ *  - the application and the bootloader may not overlap the SoftDevice,
+ *  - the application and the SoftDevice may not overlap the bootloader,
+ * where the SoftDevice and bootloader regions are those of the images in the dfu
+ * definition if given, otherwise those reported by the device.
+ * UICR records and records beyond the flash size are left out of the images,
+ * so they are only reported as warnings.
+ *
+ * DFU packages are not checked, since their images carry no addresses.
+ *
+ * @param {Object} dfu the dfu definition, see setupDevice
+ * @param {Object} [layout] { flashSize, flashPageSize, softdevice, bootloader }
+ * as known of the device, where softdevice and bootloader are { start, end }
+ * @returns {Object} { errors, warnings, images } where errors and warnings are
+ * Arrays of messages and images are { name, start, end } of each checked image
+ */
+export function validateImageLayout(dfu, layout = {}) {
+    const errors = [];
+    const warnings = [];
+    if (dfu.package) {
+        return { errors, warnings, images: [] };
+    }
+
+    const flashEnd = layout.flashSize || REGISTERS_START;
+    const images = ['softdevice', 'bootloader', 'application']
+        .filter(name => dfu[name])
+        .map(name => {
+            const memMap = loadMemoryMap(dfu[name]);
+            const registers = spanOf(memMap.slice(REGISTERS_START));
+            if (registers) {
+                warnings.push(`${name} contains UICR records at ${rangeToString(registers)}, `
+                    + 'they are not programmed by DFU');
+            }
+            const outOfFlash = spanOf(memMap.slice(flashEnd, REGISTERS_START - flashEnd));
+            if (outOfFlash) {
+                warnings.push(`${name} contains records at ${rangeToString(outOfFlash)} `
+                    + `beyond the flash size ${hex(flashEnd)}, they are left out`);
+            }
+            const minAddress = (name === 'softdevice') ? MBR_SIZE : 0;
+            const span = spanOf(memMap.slice(minAddress, flashEnd - minAddress));
+            if (!span) {
+                errors.push(`${name} contains no data in flash`);
+            }
+            return Object.assign({ name }, span);
+        })
+        .filter(image => image.start !== undefined);
+
+    const imageOf = name => images.find(image => image.name === name);
+    const regions = [
+        { name: 'MBR', start: 0, end: MBR_SIZE },
+        Object.assign({}, imageOf('softdevice') || layout.softdevice, { name: 'SoftDevice' }),
+        Object.assign({}, imageOf('bootloader') || layout.bootloader, { name: 'bootloader' }),
+    ].filter(region => region.start !== undefined);
+    const protectedRegions = {
+        softdevice: ['MBR', 'bootloader'],
+        bootloader: ['MBR', 'SoftDevice'],
+        application: ['MBR', 'SoftDevice', 'bootloader'],
+    };
+
+    images.forEach(image => {
+        regions
+            .filter(region => protectedRegions[image.name].includes(region.name))
+            .filter(region => overlaps(image, region))
+            .forEach(region => {
+                errors.push(`${image.name} (${rangeToString(image)}) overlaps `
+                    + `the ${region.name} region (${rangeToString(region)})`);
+            });
+    });
+
+    return { errors, warnings, images };
+}
+
+/**
+ * Finds the address ranges where several of the given images have records,
+ * e.g. of the images of a jprog definition which are programmed one after the other.
+ * Unlike validateImageLayout only the records are compared, gaps between
+ * them are not part of the images.
+ *
+ * @param {Object} images firmware files by name, see loadMemoryMap
+ * @returns {Array<Object>} [{ names, start, end }] of each range where the images
+ * called names overlap, with end exclusive
+ */
+export function findImageOverlaps(images) {
+    const memMaps = new Map(Object.keys(images)
+        .map(name => [name, loadMemoryMap(images[name])]));
+    const result = [];
+    MemoryMap.overlapMemoryMaps(memMaps).forEach((tuples, start) => {
+        if (tuples.length < 2) {
+            return;
+        }
+        const names = tuples.map(([name]) => name);
+        const end = start + tuples[0][1].length;
+        const last = result[result.length - 1];
+        if (last && last.end === start && last.names.join() === names.join()) {
+            last.end = end;
+        } else {
+            result.push({ names, start, end });
+        }
+    });
+    return result;
+}
+
+/**
+ * Formats the result of findImageOverlaps for messages.
+ *
+ * @param {Array<Object>} imageOverlaps [{ names, start, end }]
+ * @returns {string} e.g. 'softdevice and application overlap at 0x1F000-0x1F100'
+ */
+export function formatImageOverlaps(imageOverlaps) {
+    return imageOverlaps
+        .map(({ names, start, end }) => `${names.join(' and ')} overlap at `
+            + `${rangeToString({ start, end })}`)
+        .join(', ');
+}
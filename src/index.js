@@ -31,8 +31,19 @@
 
 import * as initPacket from './util/initPacket';
 import * as dfuTrigger from './dfuTrigger';
+import * as bootloaders from './bootloaders';
+import { Phase, Status as ProgressStatus } from './progress';
+import { isAbortError } from './abort';
+import { createDfuPackage, loadFirmwareUpdates, readDfuPackage } from './dfuPackage';
+import { findImageOverlaps, validateImageLayout } from './imageLayout';
+import { matchesSemver, parseSemver } from './semverMatch';
+import { findDfuKeys, selectDfuKey } from './dfuKeys';
+import { getProgramOptions } from './jprogFunc';
+import { withDeviceLock, isDeviceLocked } from './deviceLock';
 import {
     setupDevice,
+    setupDevices,
+    planDeviceSetup,
     waitForDevice,
     detachAndWaitFor,
     ensureBootloaderMode,
@@ -40,9 +51,27 @@ import {
 
 export default {
     setupDevice,
+    setupDevices,
+    planDeviceSetup,
     waitForDevice,
     detachAndWaitFor,
     ensureBootloaderMode,
+    createDfuPackage,
+    readDfuPackage,
+    loadFirmwareUpdates,
+    validateImageLayout,
+    findImageOverlaps,
+    matchesSemver,
+    parseSemver,
+    findDfuKeys,
+    selectDfuKey,
+    getProgramOptions,
+    withDeviceLock,
+    isDeviceLocked,
     dfuTrigger,
     initPacket,
+    bootloaders,
+    Phase,
+    ProgressStatus,
+    isAbortError,
 };
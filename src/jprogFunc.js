@@ -37,9 +37,22 @@
 import nrfjprog from 'pc-nrfjprog-js';
 import SerialPort from 'serialport';
 import Debug from 'debug';
+import MemoryMap from 'nrf-intel-hex';
+import createMutex from './util/mutex';
+import { findImageOverlaps, formatImageOverlaps } from './imageLayout';
+import {
+    FirmwareFormat, detectFirmwareFormat, loadMemoryMap, toHexString,
+} from './util/firmwareFile';
+import { findMismatchingRanges, formatRanges, mergeRanges } from './util/memoryCompare';
 
 const debug = Debug('device-setup:jprog');
 
+// largest block read at once when the firmware is read back for verification
+const READBACK_CHUNK_SIZE = 0x10000;
+
+// pc-nrfjprog-js drives all J-Link probes through one library instance
+const sessionMutex = createMutex();
+
 const DeviceFamily = {
     [nrfjprog.NRF51_FAMILY]: 'nrf51',
     [nrfjprog.NRF52_FAMILY]: 'nrf52',
@@ -106,10 +119,224 @@ const DeviceType = {
     [nrfjprog.NRF9160_xxAA_REV1]: 'NRF9160_xxAA_REV1',
 };
 
+const ReadbackProtection = {
+    [nrfjprog.NONE]: 'none',
+    [nrfjprog.REGION_0]: 'region0',
+    [nrfjprog.ALL]: 'all',
+    [nrfjprog.BOTH]: 'both',
+};
+
+const EraseMode = {
+    none: nrfjprog.ERASE_NONE,
+    all: nrfjprog.ERASE_ALL,
+    pages: nrfjprog.ERASE_PAGES,
+    pagesIncludingUicr: nrfjprog.ERASE_PAGES_INCLUDING_UICR,
+};
+
+// nrfjprog.program can only do a system reset after programming, or none
+const ResetType = {
+    system: true,
+    none: false,
+};
+
+// programming options of jprog definitions, by the option of nrfjprog.program they set
+const ProgramOption = {
+    eraseMode: { option: 'chip_erase_mode', values: EraseMode },
+    qspiEraseMode: { option: 'qspi_erase_mode', values: EraseMode },
+    verify: { option: 'verify', values: { true: true, false: false } },
+    reset: { option: 'reset', values: ResetType },
+};
+
+/**
+ * Converts the programming options of a jprog definition to the options of
+ * nrfjprog.program, all of them are optional:
+ * { eraseMode, qspiEraseMode, verify, reset } where the erase modes are
+ * 'none', 'all', 'pages' or 'pagesIncludingUicr' and reset is 'system' or 'none'.
+ * Without options nrfjprog erases all, doesn't erase the QSPI flash, verifies
+ * and resets the system.
+ *
+ * @param {Object} [programOptions] programming options of a jprog definition
+ * @returns {Object} options for nrfjprog.program
+ */
+function getProgramOptions(programOptions = {}) {
+    const has = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+    return Object.keys(programOptions).reduce((options, name) => {
+        if (!has(ProgramOption, name)) {
+            throw new Error(`Unknown programming option ${name}, `
+                + `use ${Object.keys(ProgramOption).join(', ')}`);
+        }
+        const { option, values } = ProgramOption[name];
+        const value = programOptions[name];
+        if (!has(values, value)) {
+            throw new Error(`Invalid value ${value} of programming option ${name}, `
+                + `use ${Object.keys(values).join(', ')}`);
+        }
+        return Object.assign(options, { [option]: values[value] });
+    }, {});
+}
+
+/**
+ * Cores of multi-core devices like the nRF5340, in the order they are programmed,
+ * by the coprocessor number of pc-nrfjprog-js.
+ */
+const Core = {
+    network: 1,
+    application: 0,
+};
+
+// properties of the qspi entry of jprog definitions
+const QSPI_PROPERTIES = ['fw', 'fwIdAddress', 'fwVersion', 'readback', 'eraseMode', 'verify'];
+
+// QSPI initialization settings of nrfjprog, which pc-nrfjprog-js can't pass
+const QSPI_INIT_PROPERTIES = [
+    'init', 'memSize', 'readMode', 'writeMode', 'addressMode', 'frequency',
+    'spiMode', 'sckDelay', 'rxDelay', 'pins',
+];
+
+/**
+ * Returns the address range in which the external QSPI flash is mapped (XIP).
+ *
+ * @param {Object} deviceInfo device info from nrfjprog
+ * @returns {Object|null} { start, end }, or null if the device has no QSPI
+ */
+function getXipRegion(deviceInfo) {
+    if (!deviceInfo || !deviceInfo.qspiPresent || !deviceInfo.xipSize) {
+        return null;
+    }
+    return { start: deviceInfo.xipAddress, end: deviceInfo.xipAddress + deviceInfo.xipSize };
+}
+
+/**
+ * Splits the blocks of the firmware by whether they are in the XIP region of the device.
+ *
+ * @param {String|Buffer|Object} firmware firmware file, see loadMemoryMap
+ * @param {Object|null} region { start, end } XIP region, see getXipRegion
+ * @returns {Object} { inside, outside } with the [{ start, end }] address ranges of the blocks
+ */
+function splitXipBlocks(firmware, region) {
+    const blocks = { inside: [], outside: [] };
+    loadMemoryMap(firmware).forEach((block, start) => {
+        const range = { start, end: start + block.length };
+        if (region && start >= region.start && range.end <= region.end) {
+            blocks.inside.push(range);
+        } else {
+            blocks.outside.push(range);
+        }
+    });
+    return blocks;
+}
+
+/**
+ * Checks the qspi entry of a jprog definition: its properties, and that its
+ * firmware is in the XIP region reported by the device. Initialization options
+ * are rejected, the QSPI is always initialized with the default configuration.
+ *
+ * @param {Object} qspiDefinition qspi entry of a jprog definition
+ * @param {Object} deviceInfo device info from nrfjprog
+ * @returns {undefined}
+ */
+function checkQspiDefinition(qspiDefinition, deviceInfo) {
+    const initOptions = Object.keys(qspiDefinition).filter(name => (
+        QSPI_INIT_PROPERTIES.some(init => init.toLowerCase() === name.toLowerCase())
+    ));
+    if (initOptions.length > 0) {
+        throw new Error(`QSPI initialization options are not supported (${initOptions.join(', ')}), `
+            + 'the QSPI is initialized with the default configuration of nrfjprog');
+    }
+    const unknown = Object.keys(qspiDefinition).filter(name => !QSPI_PROPERTIES.includes(name));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown qspi property ${unknown.join(', ')}, `
+            + `use ${QSPI_PROPERTIES.join(', ')}`);
+    }
+    if (!qspiDefinition.readback && qspiDefinition.fwIdAddress === undefined) {
+        throw new Error('QSPI firmware needs fwIdAddress and fwVersion, or readback, '
+            + 'to be validated');
+    }
+    const region = getXipRegion(deviceInfo);
+    if (!region) {
+        throw new Error(`Device of family ${deviceInfo.family} has no external QSPI flash`);
+    }
+    const { outside } = splitXipBlocks(qspiDefinition.fw, region);
+    if (outside.length > 0) {
+        throw new Error(`QSPI firmware has records at ${formatRanges(outside)} outside of `
+            + `the XIP region ${formatRanges([region])} of the device`);
+    }
+    getProgramOptions({
+        qspiEraseMode: qspiDefinition.eraseMode || 'pages',
+        verify: qspiDefinition.verify !== false,
+    });
+}
+
+/**
+ * Returns the images of a jprog definition in the order they are programmed:
+ * those of `images` by name, or `fw` as the only one.
+ *
+ * @param {Object} firmwareFamily jprog definition
+ * @returns {Array<Object>} [{ name, fw }] of each image
+ */
+function getImages(firmwareFamily) {
+    const { fw, images } = firmwareFamily;
+    if (!images) {
+        return [{ name: 'fw', fw }];
+    }
+    return Object.keys(images).map(name => ({ name, fw: images[name] }));
+}
+
+/**
+ * Checks that a jprog definition has either `fw` or `images`, and that its
+ * images don't overlap.
+ *
+ * @param {Object} firmwareFamily jprog definition
+ * @returns {undefined}
+ */
+function checkImages(firmwareFamily) {
+    const { fw, images } = firmwareFamily;
+    if (fw !== undefined && images !== undefined) {
+        throw new Error('A jprog definition can have either fw or images, not both');
+    }
+    if (!images) {
+        return;
+    }
+    if (Object.keys(images).length === 0) {
+        throw new Error('A jprog definition needs at least one image');
+    }
+    const imageOverlaps = findImageOverlaps(images);
+    if (imageOverlaps.length > 0) {
+        throw new Error(`Images can't be programmed together: ${formatImageOverlaps(imageOverlaps)}`);
+    }
+}
+
+/**
+ * Loads the firmware of a jprog definition, all of its images combined.
+ *
+ * @param {Object} firmwareFamily jprog definition
+ * @returns {MemoryMap} the firmware
+ */
+function loadFirmware(firmwareFamily) {
+    const imageMaps = new Map(getImages(firmwareFamily)
+        .map(({ name, fw }) => [name, loadMemoryMap(fw)]));
+    return MemoryMap.flattenOverlaps(MemoryMap.overlapMemoryMaps(imageMaps));
+}
+
 function parseSerial(serialNumber) {
     return parseInt(serialNumber, 10);
 }
 
+/**
+ * pc-nrfjprog-js selects the coprocessor by a serial number of the form
+ * 'serialNumber:coprocessor', when the probe is opened.
+ *
+ * @param {String|Number} serialNumber The serial number of the device.
+ * @param {string} [core] 'application' or 'network', default is the application core
+ * @returns {Number|String} serial number to pass to pc-nrfjprog-js
+ */
+function probeSerial(serialNumber, core) {
+    if (!core || Core[core] === Core.application) {
+        return parseSerial(serialNumber);
+    }
+    return `${parseSerial(serialNumber)}:${Core[core]}`;
+}
+
 function read(serialNumber, address, length) {
     return new Promise((resolve, reject) => {
         nrfjprog.read(parseSerial(serialNumber), address, length, (err, contents) => {
@@ -139,23 +366,63 @@ function getDeviceInfo({ serialNumber }) {
     });
 }
 
+/**
+ * Reads the readback protection (APPROTECT) of the device. A protected device
+ * can't be read or debugged, only recovered, which erases it fully.
+ *
+ * @param {Object} device Device object, ref. nrf-device-lister.
+ * @returns {Promise<string>} 'none', 'region0', 'all' or 'both'
+ */
+function getReadbackProtection({ serialNumber }) {
+    return new Promise((resolve, reject) => {
+        nrfjprog.getReadbackProtection(parseSerial(serialNumber), (err, protection) => {
+            if (err) {
+                reject(new Error(`Error when getting readback protection ${err.message}`));
+            } else {
+                // unknown levels are regarded as protected
+                resolve(ReadbackProtection[protection] || 'all');
+            }
+        });
+    });
+}
+
+/**
+ * Recovers a device with readback protection: erases all of its memory,
+ * including UICR, which disables the protection.
+ *
+ * @param {Object} device Device object, ref. nrf-device-lister.
+ * @returns {Promise} resolves when the device is recovered
+ */
+function recover({ serialNumber }) {
+    return new Promise((resolve, reject) => {
+        nrfjprog.recover(parseSerial(serialNumber), err => (
+            err ? reject(new Error(`Error when recovering ${err.message}`)) : resolve()
+        ));
+    });
+}
+
 /**
  * Program the device with the given serial number with the given firmware
  * using nrfjprog.
  *
+ * Paths of HEX files are passed to nrfjprog as they are, other formats are
+ * converted to HEX, see loadMemoryMap.
+ *
  * @param {String|Number} serialNumber The serial number of the device.
- * @param {String|Buffer} firmware Firmware path or firmware contents as buffer.
+ * @param {String|Buffer|Object} firmware Firmware path or firmware contents as buffer,
+ * or { file, format, baseAddress }.
+ * @param {Object} [programOptions] options of nrfjprog.program, see getProgramOptions
  * @returns {Promise} Promise that resolves if successful or rejects with error.
  */
-function program(serialNumber, firmware) {
+function program(serialNumber, firmware, programOptions) {
     let fw;
-    const options = {};
-    if (firmware instanceof Buffer) {
-        fw = firmware.toString('utf-8');
+    const options = Object.assign({}, programOptions);
+    if (typeof firmware === 'string' && detectFirmwareFormat(firmware) === FirmwareFormat.HEX) {
+        fw = firmware;
+    } else {
+        fw = toHexString(firmware);
         const INPUT_FORMAT_HEX_STRING = 1;
         options.inputFormat = INPUT_FORMAT_HEX_STRING;
-    } else {
-        fw = firmware;
     }
     return new Promise((resolve, reject) => {
         nrfjprog.program(parseSerial(serialNumber), fw, options, err => {
@@ -200,22 +467,124 @@ function verifySerialPortAvailable(device) {
     });
 }
 
-function openJLink(device) {
+function openJLink(device, core) {
     return new Promise((resolve, reject) => {
-        nrfjprog.open(parseSerial(device.serialNumber), err => (err ? reject(err) : resolve()));
+        nrfjprog.open(
+            probeSerial(device.serialNumber, core),
+            err => (err ? reject(err) : resolve()),
+        );
     });
 }
 
-function closeJLink(device) {
+function closeJLink(device, core) {
     return new Promise((resolve, reject) => {
-        nrfjprog.close(parseSerial(device.serialNumber), err => (err ? reject(err) : resolve()));
+        nrfjprog.close(
+            probeSerial(device.serialNumber, core),
+            err => (err ? reject(err) : resolve()),
+        );
     });
 }
 
+/**
+ * Runs promiseFn with the probe of an open J-Link session switched to the given
+ * core. pc-nrfjprog-js keeps the core the probe was opened with, so the probe is
+ * reopened for the core and afterwards for the application core again.
+ *
+ * @param {Object} device Device object, ref. nrf-device-lister.
+ * @param {string|null} core 'application', 'network' or null for the default core
+ * @param {function} promiseFn Promise returning function using the probe
+ * @returns {Promise} resolves or rejects as the promise returned by promiseFn
+ */
+async function withCore(device, core, promiseFn) {
+    if (!core || Core[core] === Core.application) {
+        return promiseFn();
+    }
+    if (Core[core] === undefined) {
+        throw new Error(`Unknown core ${core}, use ${Object.keys(Core).join(', ')}`);
+    }
+    await closeJLink(device);
+    await openJLink(device, core);
+    try {
+        return await promiseFn();
+    } finally {
+        await closeJLink(device, core);
+        await openJLink(device);
+    }
+}
+
+/**
+ * Runs a J-Link session, i.e. everything from openJLink to closeJLink, while
+ * no other session is active. Sessions of concurrent setups are queued, because
+ * the nrfjprog library can't interact with several devices at the same time.
+ *
+ * @param {function} sessionFn Promise returning function performing the session
+ * @returns {Promise} resolves or rejects as the promise returned by sessionFn
+ */
+function runJLinkSession(sessionFn) {
+    return sessionMutex.run(sessionFn);
+}
+
+/**
+ * Reads back every region of the firmware from the device and compares it
+ * with the firmware file.
+ *
+ * @param {Object} device Device object, ref. nrf-device-lister.
+ * @param {Object} firmwareFamily jprog definition with `fw` or `images`
+ * @returns {Promise<Object>} { mismatches, bytesCompared } where mismatches are the
+ * [{ start, end }] address ranges whose contents differ from the firmware
+ */
+async function verifyFirmware(device, firmwareFamily) {
+    const chunks = [];
+    loadFirmware(firmwareFamily).forEach((block, blockAddress) => {
+        for (let offset = 0; offset < block.length; offset += READBACK_CHUNK_SIZE) {
+            chunks.push({
+                address: blockAddress + offset,
+                expected: block.subarray(offset, offset + READBACK_CHUNK_SIZE),
+            });
+        }
+    });
+
+    let mismatches;
+    try {
+        mismatches = await chunks.reduce(async (previous, { address, expected }) => {
+            const ranges = await previous;
+            const actual = await read(device.serialNumber, address, expected.length);
+            return ranges.concat(findMismatchingRanges(expected, actual, address));
+        }, Promise.resolve([])).then(mergeRanges);
+    } catch (error) {
+        throw new Error(`Error when reading back firmware ${error.message}`);
+    }
+    const bytesCompared = chunks.reduce((sum, { expected }) => sum + expected.length, 0);
+
+    if (mismatches.length > 0) {
+        debug(`Firmware of ${device.serialNumber} differs at ${formatRanges(mismatches)}`);
+    }
+    return { mismatches, bytesCompared };
+}
+
+/**
+ * Checks whether the firmware of the jprog definition is present on the device,
+ * by the `fwVersion` at `fwIdAddress` and, if `readback` is set, by reading back
+ * the whole firmware, see verifyFirmware.
+ *
+ * @param {Object} device Device object, ref. nrf-device-lister.
+ * @param {Object} firmwareFamily jprog definition
+ * @returns {Promise<boolean>} true if the firmware is present
+ */
 async function validateFirmware(device, firmwareFamily) {
-    const { fwIdAddress, fwVersion } = firmwareFamily;
+    const { fwIdAddress, fwVersion, readback } = firmwareFamily;
     let contents;
 
+    if (readback) {
+        const { mismatches } = await verifyFirmware(device, firmwareFamily);
+        if (mismatches.length > 0) {
+            return false;
+        }
+        if (fwIdAddress === undefined) {
+            return true;
+        }
+    }
+
     try {
         contents = await read(device.serialNumber, fwIdAddress, fwVersion.length);
     } catch (error) {
@@ -230,12 +599,113 @@ async function validateFirmware(device, firmwareFamily) {
     return (data === fwVersion);
 }
 
+/**
+ * Returns the first pair of images which have records in the same flash page,
+ * those can't be programmed one after the other if pages are erased.
+ *
+ * @param {Array<Object>} images [{ name, fw }] of each image
+ * @param {number} pageSize size of the flash pages
+ * @returns {Array<string>|null} names of the two images, or null
+ */
+function findSharedPage(images, pageSize) {
+    const owners = new Map();
+    let shared = null;
+    images.forEach(({ name, fw }) => {
+        loadMemoryMap(fw).forEach((block, address) => {
+            const lastPage = Math.floor((address + block.length - 1) / pageSize);
+            for (let page = Math.floor(address / pageSize); page <= lastPage; page += 1) {
+                const owner = owners.get(page);
+                if (owner !== undefined && owner !== name && !shared) {
+                    shared = [owner, name];
+                }
+                owners.set(page, name);
+            }
+        });
+    });
+    return shared;
+}
+
+/**
+ * Programs the firmware of a jprog definition with its programming options.
+ * If the firmware has records in the XIP region of the external QSPI flash and
+ * no qspiEraseMode is given, the affected QSPI pages are erased.
+ *
+ * The images of a definition with `images` are programmed one after the other.
+ * Erasing everything only happens before the first image, and the device is only
+ * reset after the last one. If pages are erased, the images may not share pages.
+ *
+ * @param {Object} device Device object, ref. nrf-device-lister, with deviceInfo
+ * @param {Object} firmwareFamily jprog definition
+ * @returns {Promise<Object>} resolves with the device
+ */
 async function programFirmware(device, firmwareFamily) {
+    const { programOptions = {} } = firmwareFamily;
+    const deviceInfo = device.deviceInfo || {};
+    const images = getImages(firmwareFamily);
+    const options = getProgramOptions(programOptions);
+    const region = getXipRegion(deviceInfo);
+
+    const eraseMode = programOptions.eraseMode || 'all';
+    if (images.length > 1 && eraseMode.startsWith('pages')) {
+        const shared = findSharedPage(images, deviceInfo.codePageSize || 0x1000);
+        if (shared) {
+            throw new Error(`Images ${shared.join(' and ')} share flash pages, `
+                + 'they can only be programmed with eraseMode all or none');
+        }
+    }
+
+    await images.reduce(async (previous, { name, fw }, index) => {
+        await previous;
+        const imageOptions = Object.assign({}, options);
+        if (index > 0) {
+            if (eraseMode === 'all') {
+                imageOptions.chip_erase_mode = EraseMode.none;
+            }
+            if (programOptions.qspiEraseMode === 'all') {
+                imageOptions.qspi_erase_mode = EraseMode.none;
+            }
+        }
+        if (index < images.length - 1) {
+            imageOptions.reset = ResetType.none;
+        }
+        if (programOptions.qspiEraseMode === undefined
+            && region && splitXipBlocks(fw, region).inside.length > 0) {
+            imageOptions.qspi_erase_mode = EraseMode.pages;
+        }
+        try {
+            debug(`Programming ${device.serialNumber} with ${name} ${fw}`);
+            await program(device.serialNumber, fw, imageOptions);
+        } catch (programError) {
+            throw new Error(`Error when programming ${images.length > 1 ? `${name} ` : ''}`
+                + `${programError.message}`);
+        }
+    }, Promise.resolve());
+    return device;
+}
+
+/**
+ * Programs the firmware of the qspi entry of a jprog definition into the external
+ * QSPI flash. The internal flash is not erased and the device is not reset, the
+ * QSPI is initialized with the default configuration of nrfjprog, as pc-nrfjprog-js
+ * has no options to initialize it otherwise.
+ *
+ * @param {Object} device Device object, ref. nrf-device-lister, with deviceInfo
+ * @param {Object} qspiDefinition qspi entry of a jprog definition
+ * @returns {Promise<Object>} resolves with the device
+ */
+async function programQspi(device, qspiDefinition) {
+    checkQspiDefinition(qspiDefinition, device.deviceInfo);
+    const options = getProgramOptions({
+        eraseMode: 'none',
+        qspiEraseMode: qspiDefinition.eraseMode || 'pages',
+        verify: qspiDefinition.verify !== false,
+        reset: 'none',
+    });
     try {
-        debug(`Programming ${device.serialNumber} with ${firmwareFamily.fw}`);
-        await program(device.serialNumber, firmwareFamily.fw);
+        debug(`Programming QSPI flash of ${device.serialNumber} with ${qspiDefinition.fw}`);
+        await program(device.serialNumber, qspiDefinition.fw, options);
     } catch (programError) {
-        throw new Error(`Error when programming ${programError.message}`);
+        throw new Error(`Error when programming QSPI flash ${programError.message}`);
     }
     return device;
 }
@@ -243,8 +713,19 @@ async function programFirmware(device, firmwareFamily) {
 export {
     openJLink,
     closeJLink,
+    runJLinkSession,
+    withCore,
+    Core,
     verifySerialPortAvailable,
     getDeviceInfo,
+    getReadbackProtection,
+    recover,
     validateFirmware,
+    verifyFirmware,
+    getProgramOptions,
+    checkQspiDefinition,
+    checkImages,
+    getImages,
     programFirmware,
+    programQspi,
 };
@@ -0,0 +1,119 @@
+/* Copyright (c) 2010 - 2018, Nordic Semiconductor ASA
+ *
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice, this
+ *    list of conditions and the following disclaimer.
+ *
+ * 2. Redistributions in binary form must reproduce the above copyright
+ *    notice, this list of conditions and the following disclaimer in the
+ *    documentation and/or other materials provided with the distribution.
+ *
+ * 3. Neither the name of Nordic Semiconductor ASA nor the names of its
+ *    contributors may be used to endorse or promote products derived from this
+ *    software without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY, AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL NORDIC SEMICONDUCTOR ASA OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+
+import Debug from 'debug';
+
+const debug = Debug('device-setup:progress');
+
+/**
+ * Stable identifiers of the phases reported through the `onProgress` callback.
+ * The values are part of the public interface, UIs and logs may rely on them.
+ */
+export const Phase = {
+    CHECK_SEMVER: 'checkSemver',
+    CONFIRM: 'confirm',
+    VALIDATE_IMAGE_LAYOUT: 'validateImageLayout',
+    ENSURE_BOOTLOADER_MODE: 'ensureBootloaderMode',
+    CHECK_BOOTLOADER: 'checkConfirmUpdateBootloader',
+    UPDATE_BOOTLOADER: 'updateBootloader',
+    DFU: 'prepareInDFUBootloader',
+    WAIT_FOR_DEVICE: 'waitForDevice',
+    VALIDATE_SERIALPORT: 'validateSerialPort',
+    OPEN_JLINK: 'openJLink',
+    CHECK_PROTECTION: 'checkReadbackProtection',
+    RECOVER: 'recover',
+    GET_DEVICE_INFO: 'getDeviceInfo',
+    VALIDATE_FIRMWARE: 'validateFirmware',
+    PROGRAM_FIRMWARE: 'programFirmware',
+    VERIFY_FIRMWARE: 'verifyFirmware',
+    CLOSE_JLINK: 'closeJLink',
+};
+
+/**
+ * Status of a phase carried by each progress event.
+ */
+export const Status = {
+    START: 'start',
+    PROGRESS: 'progress',
+    END: 'end',
+    FAIL: 'fail',
+};
+
+/**
+ * Creates a reporter which forwards progress events of one device to the
+ * user defined `onProgress` callback. Each event has the form
+ * { phase, status, serialNumber, timestamp, ...data }, events with status
+ * `end` and `fail` also carry the `duration` of the phase in milliseconds.
+ *
+ * Errors thrown by the callback are logged and otherwise ignored, so that
+ * a faulty UI cannot break the device setup.
+ *
+ * @param {function} [onProgress] callback receiving the progress events
+ * @param {string} serialNumber serial number of the device
+ * @returns {Object} reporter with `emit(phase, status, data)` and
+ * `run(phase, promiseFn, data)` functions
+ */
+export function createProgressReporter(onProgress, serialNumber) {
+    function emit(phase, status, data) {
+        if (typeof onProgress !== 'function') {
+            return;
+        }
+        const event = Object.assign({
+            phase,
+            status,
+            serialNumber,
+            timestamp: Date.now(),
+        }, data);
+        try {
+            onProgress(event);
+        } catch (err) {
+            debug(`Progress callback failed: ${err.message}`);
+        }
+    }
+
+    async function run(phase, promiseFn, data) {
+        const startTime = Date.now();
+        emit(phase, Status.START, data);
+        try {
+            const result = await promiseFn();
+            emit(phase, Status.END, Object.assign({ duration: Date.now() - startTime }, data));
+            return result;
+        } catch (err) {
+            emit(phase, Status.FAIL, Object.assign({
+                duration: Date.now() - startTime,
+                error: err.message,
+            }, data));
+            throw err;
+        }
+    }
+
+    return { emit, run };
+}
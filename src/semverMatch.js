@@ -0,0 +1,113 @@
+/* Copyright (c) 2010 - 2018, Nordic Semiconductor ASA
+ *
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice, this
+ *    list of conditions and the following disclaimer.
+ *
+ * 2. Redistributions in binary form must reproduce the above copyright
+ *    notice, this list of conditions and the following disclaimer in the
+ *    documentation and/or other materials provided with the distribution.
+ *
+ * 3. Neither the name of Nordic Semiconductor ASA nor the names of its
+ *    contributors may be used to endorse or promote products derived from this
+ *    software without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY, AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL NORDIC SEMICONDUCTOR ASA OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+
+import { satisfies, valid, validRange } from 'semver';
+
+/**
+ * Splits the semver string reported by the DFU trigger interface, e.g.
+ * 'rssi_cdc_acm 2.0.0+dfuMay-22-2018-10-43-22', into the name of the firmware
+ * and its version. The version is the last word of the string, if it is a valid
+ * semantic version.
+ *
+ * @param {string} semver semver string reported by the device
+ * @returns {Object} { name, version } where version is null if there is none
+ */
+export function parseSemver(semver) {
+    const words = String(semver).trim().split(/\s+/);
+    const version = valid(words[words.length - 1]);
+    if (!version) {
+        return { name: words.join(' '), version: null };
+    }
+    return { name: words.slice(0, -1).join(' '), version };
+}
+
+/**
+ * Splits an expected semver like 'rssi_cdc_acm ^2.0.0' into the firmware name and
+ * a semver range. The name may be empty, the range may contain spaces, e.g.
+ * '>=2.0.0 <3.0.0'. A plain version, e.g. 'rssi_cdc_acm 2.0.0+dfuMay-22-2018',
+ * is a range which only its version satisfies, regardless of the build metadata.
+ *
+ * @param {string} expected semver of a dfu definition
+ * @returns {Object|null} { name, range }, or null if it doesn't end with a valid range
+ */
+function parseSemverRange(expected) {
+    const words = expected.trim().split(/\s+/);
+    const index = words.findIndex((word, i) => validRange(words.slice(i).join(' ')) !== null);
+    if (expected.trim() === '' || index === -1) {
+        return null;
+    }
+    return { name: words.slice(0, index).join(' '), range: words.slice(index).join(' ') };
+}
+
+/**
+ * Checks whether the semver reported by the device matches the expected semver
+ * of a dfu definition, which may be:
+ * - a string, which either equals the reported semver or is a semver range
+ *   or version that the version part of the reported semver satisfies, ignoring
+ *   build metadata like '+dfuMay-22-2018'. The range can be qualified by the
+ *   firmware name, e.g. 'rssi_cdc_acm ^2.0.0', which must then equal the name
+ *   part of the reported semver. A bare range, e.g. '^2.0.0', matches any
+ *   firmware with a satisfying version,
+ * - a RegExp, which is searched in the reported semver,
+ * - a function, which is called with the reported semver and its version part,
+ *   and returns whether it matches.
+ *
+ * @param {string|RegExp|function} expected semver of a dfu definition
+ * @param {string} semver semver string reported by the device
+ * @returns {boolean} true if it matches
+ */
+export function matchesSemver(expected, semver) {
+    if (expected == null || semver == null) {
+        return false;
+    }
+    if (expected instanceof RegExp) {
+        // search() doesn't depend on lastIndex of global regexes
+        return String(semver).search(expected) !== -1;
+    }
+    if (typeof expected === 'function') {
+        return Boolean(expected(semver, parseSemver(semver).version));
+    }
+    if (typeof expected !== 'string') {
+        throw new Error(`Unsupported semver ${expected}, use a string, RegExp or function`);
+    }
+    if (expected === semver) {
+        return true;
+    }
+    const { name, version } = parseSemver(semver);
+    const expectedRange = parseSemverRange(expected);
+    if (version === null || expectedRange === null) {
+        return false;
+    }
+    if (expectedRange.name !== '' && expectedRange.name !== name) {
+        return false;
+    }
+    return satisfies(version, expectedRange.range);
+}
@@ -29,46 +29,69 @@
  * POSSIBILITY OF SUCH DAMAGE.
  */
 
-import fs from 'fs';
-import path from 'path';
 import { createHash } from 'crypto';
 import Debug from 'debug';
 import SerialPort from 'serialport';
 
 import DeviceLister from 'nrf-device-lister';
-import MemoryMap from 'nrf-intel-hex';
 import { DfuUpdates, DfuTransportUsbSerial, DfuOperation } from 'pc-nrf-dfu-js';
-import * as initPacket from './util/initPacket';
+import { loadFirmwareUpdates, parseFirmwareImage, readDfuPackage } from './dfuPackage';
+import { MBR_SIZE, validateImageLayout } from './imageLayout';
+import { matchesSemver } from './semverMatch';
+import { findDfuKeys, selectDfuKey } from './dfuKeys';
+import {
+    BootloaderPolicy, getBootloaderPackageVersion, getBootloaderPolicy, resolveBootloader,
+} from './bootloaders';
 import * as dfuTrigger from './dfuTrigger';
 import * as jprogFunc from './jprogFunc';
+import { formatRanges } from './util/memoryCompare';
+import { Phase, Status, createProgressReporter } from './progress';
+import { withDeviceLock } from './deviceLock';
+import {
+    abortable, createAbortError, isAbortError, onAbort, throwIfAborted,
+} from './abort';
 
 /**
  * @const {number} DEFAULT_DEVICE_WAIT_TIME Default wait time for UART port to
  * show up in operating system
  */
 const DEFAULT_DEVICE_WAIT_TIME = 10000;
-const BASEPATH = path.dirname(require.resolve('.'));
-const LATEST_BOOTLOADER = 'graviton_bootloader_v1.0.1-[nRF5_SDK_15.0.1-1.alpha_f76d012].zip';
-const LATEST_BOOTLOADER_PATH = path.resolve(BASEPATH, '../bootloader', LATEST_BOOTLOADER);
-const LATEST_BOOTLOADER_VERSION = 3; // check with nrfutil pkg display ...
+/**
+ * @const {number} DEFAULT_CONCURRENCY Default number of devices set up in
+ * parallel by setupDevices
+ */
+const DEFAULT_CONCURRENCY = 4;
+/**
+ * @const {number} BOOTLOADER_RESET_DELAY Time for the bootloader to reset after a
+ * bootloader update, before waiting for the device to be enumerated again
+ */
+const BOOTLOADER_RESET_DELAY = 2000;
 
 const {
     getDFUInterfaceNumber,
     getSemVersion,
+    getDfuInfo,
     detach,
 } = dfuTrigger;
 
-const {
-    InitPacket, FwType, HashType, createInitPacketUint8Array,
-} = initPacket;
-
 const {
     openJLink,
     closeJLink,
+    runJLinkSession,
+    withCore,
+    Core,
     verifySerialPortAvailable,
     getDeviceInfo,
+    getReadbackProtection,
+    recover,
     validateFirmware,
+    verifyFirmware,
+    getProgramOptions,
+    checkQspiDefinition,
+    checkImages,
+    getImages,
     programFirmware,
+    programQspi,
 } = jprogFunc;
 
 const debug = Debug('device-setup');
@@ -78,10 +101,28 @@ const debugError = Debug('device-setup:error');
  * Aux function. Returns a promise that resolves after the given time.
  *
  * @param {number} ms Time, in milliseconds, to wait until promise resolution
+ * @param {AbortSignal} [signal] rejects the promise early if aborted
  * @returns {Promise<undefined>} Promise that resolves after a time
  */
-function sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+function sleep(ms, signal) {
+    let timeoutId;
+    return abortable(
+        signal,
+        new Promise(resolve => { timeoutId = setTimeout(resolve, ms); }),
+        () => clearTimeout(timeoutId),
+    );
+}
+
+/**
+ * Closes the serial port of a DFU transport if it has been opened.
+ *
+ * @param {Object} transport instance of pc-nrf-dfu-js transport
+ * @returns {undefined}
+ */
+function closeTransport(transport) {
+    if (transport.port && transport.port.isOpen) {
+        transport.port.close(err => err && debugError(err.message));
+    }
 }
 
 /**
@@ -105,6 +146,77 @@ function isDeviceInDFUBootloader(device) {
     return false;
 }
 
+/**
+ * One DeviceLister is shared by all concurrent waitForDevice calls, so that
+ * parallel setups don't run competing listers. It is started by the first
+ * waiting call and stopped when the last one is done. Enumerations are numbered
+ * when they start, see createLister.
+ */
+const sharedLister = {
+    lister: null,
+    users: 0,
+    enumerations: 0,
+};
+
+/**
+ * Creates a DeviceLister which emits `enumerated` with the device map and the
+ * number of the enumeration, after each enumeration, including those triggered
+ * by USB attach and detach events. Unlike `conflated`, it tells waiters whether
+ * the enumeration started before they began to wait and may miss their device.
+ *
+ * @returns {DeviceLister} the lister, not started yet
+ */
+function createLister() {
+    const lister = new DeviceLister({
+        nordicUsb: true, nordicDfu: true, serialport: true,
+    });
+    const reenumerate = lister.reenumerate.bind(lister);
+    lister.reenumerate = () => {
+        sharedLister.enumerations += 1;
+        const enumeration = sharedLister.enumerations;
+        return reenumerate().then(deviceMap => {
+            // resolves without device map if the enumeration failed
+            if (deviceMap) {
+                lister.emit('enumerated', deviceMap, enumeration);
+            }
+            return deviceMap;
+        });
+    };
+    lister.on('error', debugError);
+    return lister;
+}
+
+/**
+ * Starts the shared lister if it is not running yet, otherwise triggers a
+ * reenumeration so that the new user gets a fresh `enumerated` event.
+ *
+ * @returns {DeviceLister} the shared lister
+ */
+function acquireLister() {
+    if (!sharedLister.lister) {
+        sharedLister.lister = createLister();
+        sharedLister.lister.start();
+    } else {
+        sharedLister.lister.reenumerate();
+    }
+    sharedLister.users += 1;
+    return sharedLister.lister;
+}
+
+/**
+ * Stops the shared lister if there are no more users.
+ *
+ * @returns {undefined}
+ */
+function releaseLister() {
+    sharedLister.users -= 1;
+    if (sharedLister.users === 0) {
+        sharedLister.lister.removeListener('error', debugError);
+        sharedLister.lister.stop();
+        sharedLister.lister = null;
+    }
+}
+
 /**
  * Waits until a device (with a matching serial number) is listed by
  * nrf-device-lister, up to a maximum of `timeout` milliseconds.
@@ -116,24 +228,46 @@ function isDeviceInDFUBootloader(device) {
  * @param {string} serialNumber of the device expected to appear
  * @param {number} [timeout] Timeout, in milliseconds, to wait for device enumeration
  * @param {Array} [expectedTraits] The traits that the device is expected to have
- * @returns {Promise} resolved to the expected device
+ * @param {Object} [options] May include { onProgress, signal }
+ * @returns {Promise} resolved to the expected device, rejects with an
+ * AbortError if the signal is aborted
  */
-export function waitForDevice(serialNumber, timeout = DEFAULT_DEVICE_WAIT_TIME, expectedTraits = ['serialport']) {
+export function waitForDevice(
+    serialNumber,
+    timeout = DEFAULT_DEVICE_WAIT_TIME,
+    expectedTraits = ['serialport'],
+    options = {},
+) {
     debug(`Will wait for device ${serialNumber}`);
+    const progress = createProgressReporter(options.onProgress, serialNumber);
+
+    return progress.run(Phase.WAIT_FOR_DEVICE, () => new Promise((resolve, reject) => {
+        const { signal } = options;
+        if (signal && signal.aborted) {
+            reject(createAbortError());
+            return;
+        }
 
-    return new Promise((resolve, reject) => {
         let timeoutId;
-        const lister = new DeviceLister({
-            nordicUsb: true, nordicDfu: true, serialport: true,
-        });
+        let removeAbortListener;
+        // enumerations up to this one started before waiting and may be stale
+        const lastStaleEnumeration = sharedLister.enumerations;
+        const lister = acquireLister();
 
-        function checkConflation(deviceMap) {
+        function stopLister() {
+            clearTimeout(timeoutId);
+            removeAbortListener();
+            lister.removeListener('enumerated', checkEnumeration); // eslint-disable-line no-use-before-define
+            releaseLister();
+        }
+
+        function checkEnumeration(deviceMap, enumeration) {
+            if (enumeration <= lastStaleEnumeration) {
+                return;
+            }
             const device = deviceMap.get(serialNumber);
             if (device && expectedTraits.every(trait => device.traits.includes(trait))) {
-                clearTimeout(timeoutId);
-                lister.removeListener('conflated', checkConflation);
-                lister.removeListener('error', debugError);
-                lister.stop();
+                stopLister();
                 debug(`... found ${serialNumber}`);
                 resolve(device);
             }
@@ -141,16 +275,18 @@ export function waitForDevice(serialNumber, timeout = DEFAULT_DEVICE_WAIT_TIME,
 
         timeoutId = setTimeout(() => {
             debug(`Timeout when waiting for attachment of device with serial number ${serialNumber}`);
-            lister.removeListener('conflated', checkConflation);
-            lister.removeListener('error', debugError);
-            lister.stop();
+            stopLister();
             reject(new Error(`Timeout while waiting for device  ${serialNumber} to be attached and enumerated`));
         }, timeout);
 
-        lister.on('error', debugError);
-        lister.on('conflated', checkConflation);
-        lister.start();
-    });
+        removeAbortListener = onAbort(signal, () => {
+            debug(`Aborted waiting for attachment of device with serial number ${serialNumber}`);
+            stopLister();
+            reject(createAbortError());
+        });
+
+        lister.on('enumerated', checkEnumeration);
+    }), { expectedTraits });
 }
 
 /**
@@ -159,52 +295,28 @@ export function waitForDevice(serialNumber, timeout = DEFAULT_DEVICE_WAIT_TIME,
  * @param {object} usbdev instance of usb device
  * @param {number} interfaceNumber of the trigger interface
  * @param {string} serialNumber of the device expected after reattach
+ * @param {Object} [options] May include { onProgress, signal }
  * @return {Promise} resolves to reattached device
  */
-export function detachAndWaitFor(usbdev, interfaceNumber, serialNumber) {
+export function detachAndWaitFor(usbdev, interfaceNumber, serialNumber, options = {}) {
     debug('Sending detach, will wait for attach');
-    return detach(usbdev)
-        .then(() => waitForDevice(serialNumber));
-}
-
-/**
- * Calculates SHA256 hash of image
- *
- * @param {Uint8Array} image to calculate hash from
- * @return {Buffer} SHA256 hash
- */
-function calculateSHA256Hash(image) {
-    const digest = createHash('sha256');
-    digest.update(image);
-    return Buffer.from(digest.digest().reverse());
-}
-
-
-/**
- * Loads firmware image from HEX file
- *
- * @param {Buffer|string} firmware contents of HEX file if Buffer otherwhise path of HEX file
- * @return {Uint8Array} the loaded firmware
- */
-function parseFirmwareImage(firmware) {
-    const contents = (firmware instanceof Buffer) ? firmware : fs.readFileSync(firmware);
-    const memMap = MemoryMap.fromHex(contents);
-    let startAddress;
-    let endAddress;
-    memMap.forEach((block, address) => {
-        startAddress = !startAddress ? address : startAddress;
-        endAddress = address + block.length;
-    });
-    return memMap.slicePad(startAddress, Math.ceil((endAddress - startAddress) / 4) * 4);
+    return detach(usbdev, undefined, { signal: options.signal })
+        .then(() => waitForDevice(
+            serialNumber,
+            DEFAULT_DEVICE_WAIT_TIME,
+            undefined,
+            options,
+        ));
 }
 
 /**
  * Ensures that device has a serialport that is ready to be opened
  * @param {object} device nrf-device-lister's device
  * @param {boolean} needSerialport indicates if the device is expected to have a serialport
+ * @param {AbortSignal} [signal] stops validating if aborted
  * @returns {Promise} resolved to device
  */
-async function validateSerialPort(device, needSerialport) {
+async function validateSerialPort(device, needSerialport, signal) {
     if (!needSerialport) {
         debug('device doesn`t need serialport');
         return device;
@@ -219,7 +331,7 @@ async function validateSerialPort(device, needSerialport) {
 
     for (let i = 10; i > 1; i -= 1) {
         /* eslint-disable-next-line no-await-in-loop */
-        await sleep(2000 / i);
+        await sleep(2000 / i, signal);
         debug('validating serialport', device.serialport.path, i);
         /* eslint-disable-next-line no-await-in-loop */
         if (await checkOpen(device.serialport.path)) {
@@ -230,103 +342,201 @@ async function validateSerialPort(device, needSerialport) {
     throw new Error('couldn`t open serialport');
 }
 
+/**
+ * Hooks into the DFU transport to report the number of bytes of each firmware
+ * image that have been transferred so far. The images are expected to be sent
+ * in the order they are listed in `imageNames`.
+ *
+ * @param {Object} transport instance of pc-nrf-dfu-js transport
+ * @param {Array<string>} imageNames names of the images in order of transfer
+ * @param {Object} progress progress reporter
+ * @param {string} phase phase to which the progress events belong
+ * @returns {Object} the same transport
+ */
+function reportTransferProgress(transport, imageNames, progress, phase) {
+    const sendFirmwareImage = transport.sendFirmwareImage.bind(transport);
+    const writeObject = transport.writeObject.bind(transport);
+    let imageIndex = 0;
+    let current;
+
+    const emit = bytesSent => progress.emit(phase, Status.PROGRESS, {
+        image: current.image,
+        bytesSent,
+        totalBytes: current.totalBytes,
+        percentage: Math.floor((100 * bytesSent) / current.totalBytes),
+    });
+
+    Object.assign(transport, {
+        sendFirmwareImage: bytes => {
+            current = { image: imageNames[imageIndex], totalBytes: bytes.length };
+            imageIndex += 1;
+            emit(0);
+            return sendFirmwareImage(bytes)
+                .then(() => {
+                    emit(current.totalBytes);
+                    current = undefined;
+                });
+        },
+        writeObject: (bytes, crcSoFar, offset) => writeObject(bytes, crcSoFar, offset)
+            .then(result => {
+                if (current) {
+                    emit(Math.min(offset + bytes.length, current.totalBytes));
+                }
+                return result;
+            }),
+    });
+    return transport;
+}
+
+/**
+ * Splits the updates into sessions which can be sent with one DfuOperation.
+ * After a bootloader or a combined SoftDevice and bootloader update the
+ * bootloader activates the new image and resets, so the following updates
+ * are sent in a new session once the device is enumerated again.
+ *
+ * @param {Array<Object>} updates [{ name, initPacket, firmwareImage }] in order of transfer
+ * @returns {Array<Array<Object>>} the updates of each session
+ */
+function splitUpdatesAtResets(updates) {
+    const sessions = [[]];
+    updates.forEach(update => {
+        sessions[sessions.length - 1].push(update);
+        if (update.name === 'bootloader' || update.name === 'softdevice_bootloader') {
+            sessions.push([]);
+        }
+    });
+    return sessions.filter(session => session.length > 0);
+}
+
 /**
  * Prepares a device which is expected to be in DFU Bootlader.
- * First it loads the firmware from HEX file specified by dfu argument,
- * then performs the DFU operation.
+ * First it loads the firmware from HEX files or the DFU package specified
+ * by dfu argument, then performs the DFU operation.
  * This causes the device to be detached, so finally it waits for it to be attached again.
  *
  * @param {object} device nrf-device-lister's device
  * @param {object} dfu configuration object for performing the DFU
+ * @param {object} [options] May include { onProgress, signal }
+ * @param {number} [flashSize] flash size of the device, data beyond is left out
  * @returns {Promise} resolved to prepared device
  */
-async function prepareInDFUBootloader(device, dfu) {
+async function prepareInDFUBootloader(device, dfu, options = {}, flashSize) {
     debug(`${device.serialNumber} on ${device.serialport.path} is now in DFU-Bootloader...`);
+    const progress = createProgressReporter(options.onProgress, device.serialNumber);
 
-    const { application, softdevice } = dfu;
-    let { params } = dfu;
-    params = params || {};
-
-    const firmwareUpdates = [];
-    if (softdevice) {
-        const firmwareImage = parseFirmwareImage(softdevice);
-
-        const initPacketParams = new InitPacket()
-            .set('fwType', FwType.SOFTDEVICE)
-            .set('fwVersion', 0xffffffff)
-            .set('hwVersion', params.hwVersion || 52)
-            .set('hashType', HashType.SHA256)
-            .set('hash', calculateSHA256Hash(firmwareImage))
-            .set('sdSize', firmwareImage.length)
-            .set('sdReq', params.sdReq || []);
-
-        const packet = createInitPacketUint8Array(initPacketParams);
-        firmwareUpdates.push({ initPacket: packet, firmwareImage });
-    }
-
-    const firmwareImage = parseFirmwareImage(application);
-
-    const initPacketParams = new InitPacket()
-        .set('fwType', FwType.APPLICATION)
-        .set('fwVersion', params.fwVersion || 4)
-        .set('hwVersion', params.hwVersion || 52)
-        .set('hashType', HashType.SHA256)
-        .set('hash', calculateSHA256Hash(firmwareImage))
-        .set('appSize', firmwareImage.length)
-        .set('sdReq', params.sdId || []);
+    const firmwareUpdates = await loadFirmwareUpdates(dfu, flashSize);
+    const imageNames = firmwareUpdates.map(update => update.name);
 
-    const packet = createInitPacketUint8Array(initPacketParams);
-    firmwareUpdates.push({ initPacket: packet, firmwareImage });
+    await progress.run(Phase.DFU, async () => {
+        const sessions = splitUpdatesAtResets(firmwareUpdates);
+        await sessions.reduce(async (previous, session, index) => {
+            await previous;
+            if (index > 0) {
+                debug('Waiting for the bootloader to restart with the new image');
+                await sleep(BOOTLOADER_RESET_DELAY, options.signal);
+                await waitForDevice(device.serialNumber, DEFAULT_DEVICE_WAIT_TIME, ['serialport'], options);
+            }
 
-    const usbSerialTransport = new DfuTransportUsbSerial(device.serialNumber, 0);
-    const dfuOperation = new DfuOperation(new DfuUpdates(firmwareUpdates), usbSerialTransport);
+            const usbSerialTransport = reportTransferProgress(
+                new DfuTransportUsbSerial(device.serialNumber, 0),
+                session.map(update => update.name),
+                progress,
+                Phase.DFU,
+            );
+            const dfuOperation = new DfuOperation(new DfuUpdates(session), usbSerialTransport);
 
-    debug('Starting DFU');
-    await dfuOperation.start(true);
-    debug('DFU completed successfully!');
+            debug('Starting DFU');
+            await abortable(
+                options.signal,
+                dfuOperation.start(true),
+                () => closeTransport(usbSerialTransport),
+            );
+            closeTransport(usbSerialTransport);
+        }, Promise.resolve());
+        debug('DFU completed successfully!');
+    }, { images: imageNames });
 
-    return waitForDevice(device.serialNumber, DEFAULT_DEVICE_WAIT_TIME, ['serialport', 'nordicUsb']);
+    return waitForDevice(device.serialNumber, DEFAULT_DEVICE_WAIT_TIME, ['serialport', 'nordicUsb'], options);
 }
 
 /**
  * Helper function that calls optional user defined confirmation e.g. dialog or inquirer.
  *
  * @param {function} promiseConfirm Promise returning function
+ * @param {AbortSignal} [signal] rejects if aborted while waiting for confirmation
  * @returns {Promise} resolves to boolean
  */
-async function confirmHelper(promiseConfirm) {
+async function confirmHelper(promiseConfirm, signal) {
     if (!promiseConfirm) return true;
     try {
-        return await promiseConfirm('Device must be programmed, do you want to proceed?');
+        return await abortable(
+            signal,
+            Promise.resolve(promiseConfirm('Device must be programmed, do you want to proceed?')),
+        );
     } catch (err) {
+        if (isAbortError(err)) {
+            throw err;
+        }
         throw new Error('Preparation cancelled by user');
     }
 }
 
 /**
- * Helper function that calls optional user defined choice e.g. dialog or inquirer.
+ * Get the images reported by the currently running dfu bootloader.
  *
- * @param {array} choices array of choices
- * @param {function} promiseChoice Promise returning function
- * @returns {Promise} resolves to user selected choice or first element
+ * @param {Object} device device
+ * @param {AbortSignal} [signal] closes the transport and rejects if aborted
+ * @returns {Promise<Array<Object>>} [{ imageType, version, addr, length }] of each image
  */
-async function choiceHelper(choices, promiseChoice) {
-    if (choices.length > 1 && promiseChoice) {
-        return promiseChoice('Which firmware do you want to program?', choices);
+async function getFirmwareImages(device, signal) {
+    const usbSerialTransport = new DfuTransportUsbSerial(device.serialNumber, 0);
+    const firmwareVersions = await abortable(
+        signal,
+        usbSerialTransport.getAllFirmwareVersions(),
+        () => closeTransport(usbSerialTransport),
+    );
+    await new Promise(resolve => usbSerialTransport.port.close(resolve));
+    return firmwareVersions;
+}
+
+/**
+ * Get the hardware version reported by the currently running dfu bootloader.
+ * Bootloaders older than SDK 15 don't support it.
+ *
+ * @param {Object} device device
+ * @param {AbortSignal} [signal] closes the transport and rejects if aborted
+ * @returns {Promise<Object|null>} { part, variant, memory }, or null if it couldn't be read
+ */
+async function getHardwareVersion(device, signal) {
+    const usbSerialTransport = new DfuTransportUsbSerial(device.serialNumber, 0);
+    let hardwareVersion;
+    try {
+        hardwareVersion = await abortable(
+            signal,
+            usbSerialTransport.getHardwareVersion(),
+            () => closeTransport(usbSerialTransport),
+        );
+    } catch (err) {
+        closeTransport(usbSerialTransport);
+        if (isAbortError(err)) {
+            throw err;
+        }
+        debug(`Hardware version couldn't be read: ${err.message}`);
+        return null;
     }
-    return choices.pop();
+    await new Promise(resolve => usbSerialTransport.port.close(resolve));
+    return hardwareVersion;
 }
 
 /**
  * Get firmware version of currently running dfu bootloader.
  *
  * @param {Object} device device
+ * @param {AbortSignal} [signal] closes the transport and rejects if aborted
  * @returns {Promise<number>} version number of bootloader
  */
-async function getBootloaderVersion(device) {
-    const usbSerialTransport = new DfuTransportUsbSerial(device.serialNumber, 0);
-    const firmwareVersions = await usbSerialTransport.getAllFirmwareVersions();
-    await new Promise(resolve => usbSerialTransport.port.close(resolve));
+async function getBootloaderVersion(device, signal) {
+    const firmwareVersions = await getFirmwareImages(device, signal);
 
     const bootloaderVersion = firmwareVersions.find(fw => fw.imageType === 'Bootloader');
     if (!bootloaderVersion) {
@@ -337,80 +547,465 @@ async function getBootloaderVersion(device) {
     return bootloaderVersion.version;
 }
 
+/**
+ * Reads what can be known of the flash layout of a device without resetting it.
+ * In application mode the DFU trigger interface reports the flash size and page
+ * size, and the start of the application, which ends the SoftDevice region.
+ * In bootloader mode the bootloader reports the SoftDevice and bootloader images.
+ * Devices which don't support these requests result in an empty layout.
+ *
+ * @param {Object} device device
+ * @param {AbortSignal} [signal] rejects if aborted
+ * @param {Object} [dfuInfo] DFU info already read from the device, saves reading it again
+ * @returns {Promise<Object>} { flashSize, flashPageSize, softdevice, bootloader }
+ * where softdevice and bootloader are { start, end }, each may be missing
+ */
+async function getFlashLayout(device, signal, dfuInfo) {
+    const layout = {};
+    try {
+        if (isDeviceInDFUBootloader(device)) {
+            const images = await getFirmwareImages(device, signal);
+            const regionOf = imageType => {
+                const image = images.find(fw => fw.imageType === imageType && fw.length > 0);
+                return image && { start: image.addr, end: image.addr + image.length };
+            };
+            layout.softdevice = regionOf('SoftDevice');
+            layout.bootloader = regionOf('Bootloader');
+        } else if (device.usb) {
+            const usbdev = device.usb.device;
+            const info = dfuInfo || await getDfuInfo(usbdev, getDFUInterfaceNumber(usbdev));
+            if (info.flashSize > 0) {
+                layout.flashSize = info.flashSize;
+                layout.flashPageSize = info.flashPageSize;
+            }
+            if (info.address > MBR_SIZE) {
+                layout.softdevice = { start: MBR_SIZE, end: info.address };
+            }
+        }
+    } catch (err) {
+        if (isAbortError(err)) {
+            throw err;
+        }
+        debug(`Flash layout of ${device.serialNumber} couldn't be read: ${err.message}`);
+    }
+    return layout;
+}
+
+/**
+ * Checks that the images of a dfu definition fit into the flash layout of the
+ * device, see validateImageLayout. Warnings are reported as progress events
+ * with a `warning` message.
+ *
+ * @param {Object} device device
+ * @param {Object} dfu the selected dfu definition
+ * @param {Object} [options] May include { onProgress, signal }
+ * @param {Object} [dfuInfo] DFU info already read from the device
+ * @returns {Promise<Object>} resolves with the flash layout, rejects if an image doesn't fit
+ */
+async function checkImageLayout(device, dfu, options = {}, dfuInfo) {
+    const progress = createProgressReporter(options.onProgress, device.serialNumber);
+    return progress.run(Phase.VALIDATE_IMAGE_LAYOUT, async () => {
+        const layout = await getFlashLayout(device, options.signal, dfuInfo);
+        const { errors, warnings } = validateImageLayout(dfu, layout);
+        warnings.forEach(warning => {
+            debug(`Warning: ${warning}`);
+            progress.emit(Phase.VALIDATE_IMAGE_LAYOUT, Status.PROGRESS, { warning });
+        });
+        if (errors.length > 0) {
+            throw new Error(`Firmware doesn't fit the flash layout of the device: ${errors.join(', ')}`);
+        }
+        return layout;
+    });
+}
+
 /**
  * Updates the dfu bootloader.
- * The bootloader is loaded from signed official zip file contained in this module.
+ * The bootloader is loaded from the signed zip file given in options.bootloader
+ * or registered for the device, see registerBootloader.
  *
  * @param {Object} device device
+ * @param {string|Buffer} packagePath path or contents of the zip file of the bootloader
+ * @param {Object} [options] May include { onProgress, signal }
  * @returns {Promise<Object>} device object after dfu is completed and device is enumerated again.
  */
-async function updateBootloader(device) {
+async function updateBootloader(device, packagePath, options = {}) {
     debug(`Bootloader for device ${device.serialNumber} on ${device.serialport.path} will be updated`);
+    const progress = createProgressReporter(options.onProgress, device.serialNumber);
 
-    const updates = await DfuUpdates.fromZipFilePath(LATEST_BOOTLOADER_PATH);
-    const usbSerialTransport = new DfuTransportUsbSerial(device.serialNumber, 0);
-    const dfuOperation = new DfuOperation(updates, usbSerialTransport);
+    const updates = await readDfuPackage(packagePath);
+    const usbSerialTransport = reportTransferProgress(
+        new DfuTransportUsbSerial(device.serialNumber, 0),
+        updates.map(update => update.name),
+        progress,
+        Phase.UPDATE_BOOTLOADER,
+    );
+    const dfuOperation = new DfuOperation(new DfuUpdates(updates), usbSerialTransport);
 
-    debug('Starting Bootloader DFU');
-    await dfuOperation.start(true);
-    debug('Bootloader DFU completed successfully!');
+    await progress.run(Phase.UPDATE_BOOTLOADER, async () => {
+        debug('Starting Bootloader DFU');
+        await abortable(
+            options.signal,
+            dfuOperation.start(true),
+            () => closeTransport(usbSerialTransport),
+        );
+        debug('Bootloader DFU completed successfully!');
+    });
 
-    return waitForDevice(device.serialNumber, DEFAULT_DEVICE_WAIT_TIME, ['serialport']);
+    return waitForDevice(device.serialNumber, DEFAULT_DEVICE_WAIT_TIME, ['serialport'], options);
 }
 
 /**
  * Procedure of checking firmware version of the currently running bootloader,
- * in case it's not the latest - after confirmation - it is updated.
+ * in case it's older than the one of the bootloader package it is updated
+ * according to the policy: after confirmation if the policy is `ask`, without
+ * confirmation if it is `ifOlderThan`. With policy `always` it is updated
+ * regardless of the version, with policy `never` it is not even checked.
  *
  * @param {Object} device device
+ * @param {Object} bootloader { key, path, version, policy } as returned by resolveBootloader
  * @param {function} promiseConfirm funtion that returns Promise<boolean> for confirmation
- * @returns {Promise<Object>} updated device
+ * @param {Object} [options] May include { onProgress, signal }
+ * @returns {Promise<Object>} { device, bootloaderVersion, bootloaderUpdated } with the
+ * updated device and the version of its bootloader, which is null if it wasn't read
  */
-async function checkConfirmUpdateBootloader(device, promiseConfirm) {
-    if (!promiseConfirm) {
-        // without explicit consent bootloader will not be updated
-        return device;
+async function checkConfirmUpdateBootloader(device, bootloader, promiseConfirm, options = {}) {
+    const notUpdated = bootloaderVersion => (
+        { device, bootloaderVersion, bootloaderUpdated: false }
+    );
+    if (!bootloader) {
+        debug(`No bootloader package is registered for device ${device.serialNumber}`);
+        return notUpdated(null);
     }
-    const bootloaderVersion = await getBootloaderVersion(device);
-    if (bootloaderVersion >= LATEST_BOOTLOADER_VERSION) {
-        return device;
+    const { policy } = bootloader;
+    if (policy === BootloaderPolicy.NEVER) {
+        return notUpdated(null);
+    }
+    if (policy === BootloaderPolicy.ASK && !promiseConfirm) {
+        // without explicit consent bootloader will not be updated
+        return notUpdated(null);
     }
-    if (!await promiseConfirm('Newer version of the bootloader is available, do you want to update it?')) {
+    const progress = createProgressReporter(options.onProgress, device.serialNumber);
+    const latestVersion = (bootloader.version == null)
+        ? await getBootloaderPackageVersion(bootloader.path)
+        : bootloader.version;
+    let bootloaderVersion = null;
+    const isUpdateConfirmed = await progress.run(Phase.CHECK_BOOTLOADER, async () => {
+        if (policy === BootloaderPolicy.ALWAYS) {
+            return true;
+        }
+        bootloaderVersion = await getBootloaderVersion(device, options.signal);
+        if (bootloaderVersion >= latestVersion) {
+            return false;
+        }
+        if (policy === BootloaderPolicy.IF_OLDER_THAN) {
+            return true;
+        }
+        return abortable(
+            options.signal,
+            Promise.resolve(promiseConfirm('Newer version of the bootloader is available, do you want to update it?')),
+        );
+    }, { bootloader: bootloader.key, policy });
+    if (!isUpdateConfirmed) {
         debug('Continuing with old bootloader');
-        return device;
+        return notUpdated(bootloaderVersion);
     }
-    return updateBootloader(device);
+    return {
+        device: await updateBootloader(device, bootloader.path, options),
+        bootloaderVersion: latestVersion,
+        bootloaderUpdated: true,
+    };
 }
 
 /**
- * Trigger DFU Bootloader mode if the device is not yet in that mode.
+ * Trigger DFU Bootloader mode if the device is not yet in that mode,
+ * without taking the device lock.
  *
  * @param {Object} device device
+ * @param {Object} [options] May include { onProgress, signal }
  * @returns {Promise<Object>} device object which is already in bootloader.
  */
-export async function ensureBootloaderMode(device) {
+async function enterBootloaderMode(device, options = {}) {
     const { serialNumber } = device;
+    throwIfAborted(options.signal);
     if (isDeviceInDFUBootloader(device)) {
         debug('Device is in bootloader mode');
         return device;
     }
-    let usbdev = device.usb;
-    let retry = 0;
-    while (!usbdev && retry < 3) {
-        retry += 1;
-        debug('missing usb, looking for it again');
-        /* eslint-disable-next-line no-await-in-loop */
-        usbdev = await waitForDevice(serialNumber, DEFAULT_DEVICE_WAIT_TIME, ['nordicUsb']).usb;
+    const progress = createProgressReporter(options.onProgress, serialNumber);
+    return progress.run(Phase.ENSURE_BOOTLOADER_MODE, async () => {
+        let usbdev = device.usb;
+        let retry = 0;
+        while (!usbdev && retry < 3) {
+            retry += 1;
+            debug('missing usb, looking for it again');
+            /* eslint-disable-next-line no-await-in-loop */
+            usbdev = (await waitForDevice(serialNumber, DEFAULT_DEVICE_WAIT_TIME, ['nordicUsb'], options)).usb;
+        }
+        if (!usbdev) {
+            throw new Error('Couldn`t recognize expected nordic usb device');
+        }
+        debug('Trying to trigger bootloader mode');
+        return detachAndWaitFor(
+            usbdev.device,
+            getDFUInterfaceNumber(usbdev.device),
+            serialNumber,
+            options,
+        );
+    });
+}
+
+/**
+ * Trigger DFU Bootloader mode if the device is not yet in that mode.
+ * Overlapping operations on the same device are queued, see withDeviceLock.
+ *
+ * @param {Object} device device
+ * @param {Object} [options] May include { onProgress, signal, lock }
+ * @returns {Promise<Object>} device object which is already in bootloader.
+ */
+export function ensureBootloaderMode(device, options = {}) {
+    return withDeviceLock(
+        device.serialNumber,
+        () => enterBootloaderMode(device, options),
+        options,
+    );
+}
+
+/**
+ * Finds the key of the dfu definition whose semver matches the semver
+ * reported by the application currently running on the device, see matchesSemver.
+ * Definitions are checked in the order of their keys.
+ *
+ * @param {Object} dfu dfu definitions from the options
+ * @param {string} semver semver reported by the device
+ * @returns {string|undefined} key of the matching definition
+ */
+function findMatchingDfuKey(dfu, semver) {
+    const key = Object.keys(dfu).find(k => matchesSemver(dfu[k].semver, semver));
+    if (key !== undefined) {
+        debug(`Semver '${semver}' matches the dfu definition ${key}`);
     }
-    if (!usbdev) {
-        throw new Error('Couldn`t recognize expected nordic usb device');
+    return key;
+}
+
+/**
+ * Finds the key of the jprog definition which matches the device, by device type,
+ * short device type, board version or family, in this order of specificity.
+ *
+ * @param {Object} jprog jprog definitions from the options
+ * @param {Object} device nrf-device-lister's device
+ * @param {Object} deviceInfo device info from nrfjprog
+ * @returns {string|undefined} key of the matching definition
+ */
+function findJprogKey(jprog, device, deviceInfo) {
+    const family = (deviceInfo.family || '').toLowerCase();
+    const deviceType = (deviceInfo.deviceType || '').toLowerCase();
+    const shortDeviceType = deviceType.split('_').shift();
+    const boardVersion = (device.boardVersion || '').toLowerCase();
+
+    return Object.keys(jprog).find(k => k.toLowerCase() === deviceType)
+        || Object.keys(jprog).find(k => k.toLowerCase() === shortDeviceType)
+        || Object.keys(jprog).find(k => k.toLowerCase() === boardVersion)
+        || Object.keys(jprog).find(k => k.toLowerCase() === family);
+}
+
+/**
+ * Checks whether the device has readback protection (APPROTECT) enabled, in which
+ * case it is recovered, i.e. fully erased, after confirmation by promiseConfirmRecover.
+ * Without confirmation the setup is rejected with an explanation.
+ *
+ * @param {Object} device device
+ * @param {function} [promiseConfirmRecover] function that returns Promise<boolean>
+ * @param {Object} progress progress reporter
+ * @param {AbortSignal} [signal] rejects if aborted while waiting for the confirmation
+ * @returns {Promise<boolean>} true if the device was recovered
+ */
+async function checkReadbackProtection(device, promiseConfirmRecover, progress, signal) {
+    const protection = await progress.run(
+        Phase.CHECK_PROTECTION,
+        () => getReadbackProtection(device).catch(err => {
+            // not all devices support it, the following steps tell if they can't be read
+            debug(err.message);
+            return 'none';
+        }),
+    );
+    if (protection === 'none') {
+        return false;
     }
-    debug('Trying to trigger bootloader mode');
-    return detachAndWaitFor(
-        usbdev.device,
-        getDFUInterfaceNumber(device.usb.device),
-        serialNumber,
+    const message = `Device ${device.serialNumber} has readback protection (APPROTECT) `
+        + 'enabled, it can only be programmed after a recover, which erases all of its memory';
+    if (!promiseConfirmRecover) {
+        throw new Error(`${message}. Pass promiseConfirmRecover to allow the recover`);
+    }
+    const isConfirmed = await abortable(
+        signal,
+        Promise.resolve(promiseConfirmRecover(`${message}. Do you want to recover it?`)),
     );
+    if (!isConfirmed) {
+        throw new Error(`${message}. Recover cancelled by user`);
+    }
+    // a running nrfjprog operation can't be interrupted, last chance to abort
+    throwIfAborted(signal);
+    await progress.run(Phase.RECOVER, () => recover(device), { protection });
+    return true;
+}
+
+/**
+ * Returns the firmware targets of a jprog definition in the order they are
+ * programmed: the cores of multi-core devices, see `cores`, or the default core,
+ * and the external QSPI flash, see `qspi`, which is programmed through the
+ * application core before its firmware.
+ *
+ * @param {Object} firmwareDefinition jprog definition
+ * @param {Object} deviceInfo device info from nrfjprog
+ * @returns {Array<Object>} [{ target, core, definition }] where target is the core,
+ * 'qspi', or null for the default core, and core is null for the default core
+ */
+function getFirmwareTargets(firmwareDefinition, deviceInfo) {
+    const { cores, qspi } = firmwareDefinition;
+    let targets = [{ target: null, core: null, definition: firmwareDefinition }];
+    if (cores) {
+        const coreNames = Object.keys(Core);
+        const unknownCores = Object.keys(cores).filter(core => !coreNames.includes(core));
+        if (unknownCores.length > 0) {
+            throw new Error(`Unknown core ${unknownCores.join(', ')}, use ${coreNames.join(', ')}`);
+        }
+        targets = coreNames
+            .filter(core => cores[core])
+            .map(core => ({ target: core, core, definition: cores[core] }));
+    }
+    targets.forEach(({ definition }) => {
+        checkImages(definition);
+        getProgramOptions(definition.programOptions);
+    });
+    if (qspi) {
+        checkQspiDefinition(qspi, deviceInfo);
+        const qspiTarget = { target: 'qspi', core: null, definition: qspi };
+        const index = targets.findIndex(({ core }) => core === null || core === 'application');
+        targets.splice(index < 0 ? targets.length : index, 0, qspiTarget);
+    }
+    return targets;
+}
+
+/**
+ * Validates the firmware of each target, see validateFirmware.
+ *
+ * @param {Object} device device
+ * @param {Array<Object>} targets as returned by getFirmwareTargets
+ * @param {Object} progress progress reporter
+ * @returns {Promise<Array<Object>>} the targets whose firmware is not present
+ */
+async function findOutdatedTargets(device, targets, progress) {
+    const outdated = [];
+    await targets.reduce(async (previous, firmwareTarget) => {
+        await previous;
+        const { target, core, definition } = firmwareTarget;
+        const valid = await progress.run(
+            Phase.VALIDATE_FIRMWARE,
+            () => withCore(device, core, () => validateFirmware(device, definition)),
+            target && { target },
+        );
+        if (!valid) {
+            outdated.push(firmwareTarget);
+        }
+    }, Promise.resolve());
+    return outdated;
+}
+
+/**
+ * Programs the firmware of each target one after the other, and reads it back
+ * if the definition of the target asks for it.
+ *
+ * @param {Object} device device
+ * @param {Array<Object>} targets as returned by getFirmwareTargets
+ * @param {Object} progress progress reporter
+ * @returns {Promise<Array<Object>>} [{ target, verification }] of the programmed targets,
+ * where verification is null without readback. Rejects if a readback mismatches.
+ */
+function programTargets(device, targets, progress) {
+    return targets.reduce(async (previous, { target, core, definition }) => {
+        const results = await previous;
+        const data = target && { target };
+        const programFn = target === 'qspi' ? programQspi : programFirmware;
+        await progress.run(
+            Phase.PROGRAM_FIRMWARE,
+            () => withCore(device, core, () => programFn(device, definition)),
+            data,
+        );
+        let verification = null;
+        if (definition.readback) {
+            verification = await progress.run(
+                Phase.VERIFY_FIRMWARE,
+                () => withCore(device, core, () => verifyFirmware(device, definition)),
+                data,
+            );
+        }
+        if (verification && verification.mismatches.length > 0) {
+            const { mismatches } = verification;
+            throw Object.assign(
+                new Error(`Firmware verification ${target ? `of ${target} ` : ''}failed, `
+                    + `mismatching ranges: ${formatRanges(mismatches)}`),
+                { mismatches },
+            );
+        }
+        return results.concat({ target, verification });
+    }, Promise.resolve([]));
+}
+
+/**
+ * Creates the details of a setup, all fields which aren't given are null,
+ * except wasProgrammed and bootloaderUpdated which are false.
+ *
+ * @param {string|null} method 'dfu' or 'jprog', how the device is set up, null if it isn't
+ * @param {Object} [details] known details, see setupDevice
+ * @returns {Object} details
+ */
+const createDetails = (method, details) => Object.assign({
+    wasProgrammed: false,
+    method,
+    firmwareKey: null,
+    semver: null,
+    dfuInfo: null,
+    bootloaderVersion: null,
+    bootloaderUpdated: false,
+    deviceInfo: null,
+    verification: null,
+    cores: null,
+    qspi: null,
+    recovered: false,
+}, details);
+
+/**
+ * Reads the DFU info of the application, see dfuTrigger.getDfuInfo.
+ * Applications with older DFU trigger libraries don't support it.
+ *
+ * @param {Device} usbdev Instance of USB's Device
+ * @param {number} interfaceNumber number of the DFU trigger interface
+ * @returns {Promise<Object|null>} DFU info, or null if it couldn't be read
+ */
+async function readDfuInfo(usbdev, interfaceNumber) {
+    try {
+        return await getDfuInfo(usbdev, interfaceNumber);
+    } catch (err) {
+        debug(`DFU info couldn't be read: ${err.message}`);
+        return null;
+    }
+}
+
+/**
+ * Reads the part of the chip from the bootloader, which is only needed to select
+ * among several dfu definitions, see findDfuKeys.
+ *
+ * @param {Object} dfu dfu definitions from the options
+ * @param {Object} device nrf-device-lister's device
+ * @param {AbortSignal} [signal] rejects if aborted
+ * @returns {Promise<number|null>} part, e.g. 0x52840, or null if it isn't read
+ */
+async function getDevicePart(dfu, device, signal) {
+    if (Object.keys(dfu).length === 1 || !isDeviceInDFUBootloader(device)) {
+        return null;
+    }
+    const hardwareVersion = await getHardwareVersion(device, signal);
+    return hardwareVersion && hardwareVersion.part;
 }
 
 /**
@@ -431,32 +1026,65 @@ const createReturnValue = (device, details, detailedOutput) => (
  *
  * @param {Object} selectedDevice device
  * @param {Object} options options
+ * @param {Object} [knownDetails] { semver, dfuInfo } if read from the running application
  * @returns {Promise} device or { device, details } object
  */
-async function performDFU(selectedDevice, options) {
+async function performDFU(selectedDevice, options, knownDetails) {
     const {
         dfu, needSerialport, detailedOutput,
         promiseConfirm, promiseConfirmBootloader, promiseChoice,
     } = options;
-    const isConfirmed = await confirmHelper(promiseConfirm);
+    // fail early on an invalid bootloader policy, not after the device was reset
+    getBootloaderPolicy(options.bootloader);
+    const details = createDetails('dfu', knownDetails);
+    const progress = createProgressReporter(options.onProgress, selectedDevice.serialNumber);
+    const isConfirmed = await progress.run(
+        Phase.CONFIRM,
+        () => confirmHelper(promiseConfirm, options.signal),
+    );
     if (!isConfirmed) {
         // go on without DFU
-        return createReturnValue(selectedDevice, { wasProgrammed: false }, detailedOutput);
+        return createReturnValue(selectedDevice, details, detailedOutput);
     }
-    const choice = await choiceHelper(Object.keys(dfu), promiseChoice);
+    const part = await getDevicePart(dfu, selectedDevice, options.signal);
+    const choice = await selectDfuKey(dfu, selectedDevice, part, promiseChoice, options.signal);
+    details.firmwareKey = choice;
 
     try {
-        let device = await ensureBootloaderMode(selectedDevice);
-        device = await checkConfirmUpdateBootloader(
+        // the images are checked before the device is reset into the bootloader
+        const flashLayout = await checkImageLayout(
+            selectedDevice, dfu[choice], options, details.dfuInfo,
+        );
+        let device = await enterBootloaderMode(selectedDevice, options);
+        const {
+            device: checkedDevice, bootloaderVersion, bootloaderUpdated,
+        } = await checkConfirmUpdateBootloader(
             device,
+            resolveBootloader(options.bootloader, selectedDevice, device),
             promiseConfirmBootloader || promiseConfirm,
+            options,
+        );
+        Object.assign(details, { bootloaderVersion, bootloaderUpdated });
+        device = await enterBootloaderMode(checkedDevice, options);
+        if (details.bootloaderVersion === null) {
+            details.bootloaderVersion = await getBootloaderVersion(device, options.signal)
+                .catch(err => {
+                    if (isAbortError(err)) {
+                        throw err;
+                    }
+                    debug(`Bootloader version couldn't be read: ${err.message}`);
+                    return null;
+                });
+        }
+        device = await prepareInDFUBootloader(device, dfu[choice], options, flashLayout.flashSize);
+        device = await progress.run(
+            Phase.VALIDATE_SERIALPORT,
+            () => validateSerialPort(device, needSerialport, options.signal),
         );
-        device = await ensureBootloaderMode(device);
-        device = await prepareInDFUBootloader(device, dfu[choice]);
-        device = await validateSerialPort(device, needSerialport);
 
         debug('DFU finished: ', device);
-        return createReturnValue(device, { wasProgrammed: true }, detailedOutput);
+        details.wasProgrammed = true;
+        return createReturnValue(device, details, detailedOutput);
     } catch (err) {
         debug('DFU failed: ', err);
         throw err;
@@ -464,62 +1092,27 @@ async function performDFU(selectedDevice, options) {
 }
 
 /**
- * Prepares a device listed by nrf-device-lister with expected application firmware
- * configured by options for different device types.
- * Based on the device type it decides whether it should be programmed by DFU or JProg.
- * Resolves if the setup was successful. Rejects with an error if the setup failed.
- * If detailedOutput is enabled, it will resolve with an object on the form
- * { device: {}, details: { wasProgrammed: [true|false] } }. If not, it will resolve
- * with the device object only.
- *
- * @example
- * const preparedDevice = await setupDevice(selectedDevice,
- *     {
- *         dfu: {
- *             // can have several firmwares defined, the key will be offered to choose from
- *             pca10059: {
- *                 fw: path.resolve(__dirname, 'fw/rssi-10059.hex'),
- *                 semver: 'rssi_cdc_acm 2.0.0+dfuMar-27-2018-12-41-04',
- *             },
- *         },
- *         jprog: {
- *             nrf52: {
- *                 fw: path.resolve(__dirname, 'fw/rssi-10040.hex'),
- *                 fwVersion: 'rssi-fw-1.0.0',
- *                 fwIdAddress: 0x2000,
- *             },
- *         },
- *         needSerialport: true,
- *         detailedOutput: false,
- *
- *         // called if programming is needed to be confirmed
- *         promiseConfirm: async message => (await inquirer.prompt([{
- *             type: 'confirm', name: 'isConfirmed', message, default: false,
- *         }])).isConfirmed,
- *
- *         // called if user need make a choice e.g. multiple DFU firmwares are defined
- *         promiseChoice: async (message, choices) => (await inquirer.prompt([{
- *             type: 'list', name: 'choice', message, choices,
- *         }])).choice,
- *     },
- * );
+ * Sets up the device as described for setupDevice, without taking the device lock.
  *
  * @param {object} selectedDevice nrf-device-lister's device
- * @param {object} options Setup options, as shown in the example above. May include
- * { jprog, dfu, needSerialport, detailedOutput, promiseChoice, promiseConfirm }
- * @returns {Promise} Resolves with the device object that was set up, or
- * device and details if detailedOutput is enabled.
+ * @param {object} options setupDevice options
+ * @returns {Promise} Resolves as setupDevice
  */
-export function setupDevice(selectedDevice, options) {
+function runSetup(selectedDevice, options) {
     const {
-        jprog, dfu, needSerialport, detailedOutput, promiseConfirm,
+        jprog, dfu, needSerialport, detailedOutput, promiseConfirm, promiseConfirmRecover, signal,
     } = options;
+    const progress = createProgressReporter(options.onProgress, selectedDevice.serialNumber);
+
+    if (signal && signal.aborted) {
+        return Promise.reject(createAbortError());
+    }
 
     if (dfu && Object.keys(dfu).length !== 0) {
         // check if device is in DFU-Bootlader, it might _only_ have serialport
         if (isDeviceInDFUBootloader(selectedDevice)) {
             debug('Device is in DFU-Bootloader, DFU is defined');
-            return performDFU(selectedDevice, options);
+            return performDFU(selectedDevice, options, {});
         }
 
         const usbdevice = selectedDevice.usb;
@@ -529,21 +1122,29 @@ export function setupDevice(selectedDevice, options) {
             const interfaceNumber = getDFUInterfaceNumber(usbdev);
             if (interfaceNumber >= 0) {
                 debug('Device has DFU trigger interface, probably in Application mode');
-                return getSemVersion(usbdev, interfaceNumber)
-                    .then(semver => {
+                return progress.run(
+                    Phase.CHECK_SEMVER,
+                    async () => ({
+                        semver: await getSemVersion(usbdev, interfaceNumber),
+                        dfuInfo: await readDfuInfo(usbdev, interfaceNumber),
+                    }),
+                )
+                    .then(({ semver, dfuInfo }) => {
                         debug(`'${semver}'`);
-                        if (Object.keys(dfu).map(key => dfu[key].semver).includes(semver)) {
+                        const firmwareKey = findMatchingDfuKey(dfu, semver);
+                        if (firmwareKey !== undefined) {
                             if (needSerialport && !selectedDevice.serialport) {
                                 return Promise.reject(new Error('Missing serial port'));
                             }
                             debug('Device is running the correct fw version');
                             return createReturnValue(
                                 selectedDevice,
-                                { wasProgrammed: false }, detailedOutput,
+                                createDetails('dfu', { firmwareKey, semver, dfuInfo }),
+                                detailedOutput,
                             );
                         }
                         debug('Device requires different firmware');
-                        return performDFU(selectedDevice, options);
+                        return performDFU(selectedDevice, options, { semver, dfuInfo });
                     });
             }
             debug('Device is not in DFU-Bootloader and has no DFU trigger interface');
@@ -552,64 +1153,414 @@ export function setupDevice(selectedDevice, options) {
 
 
     if (jprog && selectedDevice.traits.includes('jlink')) {
-        let wasProgrammed = false;
-        return Promise.resolve()
+        const details = createDetails('jprog');
+        return runJLinkSession(() => Promise.resolve()
             .then(() => needSerialport && verifySerialPortAvailable(selectedDevice))
-            .then(() => openJLink(selectedDevice))
-            .then(() => getDeviceInfo(selectedDevice))
+            .then(() => throwIfAborted(signal))
+            .then(() => progress.run(Phase.OPEN_JLINK, () => openJLink(selectedDevice)))
+            .then(() => checkReadbackProtection(
+                selectedDevice, promiseConfirmRecover, progress, signal,
+            ))
+            .then(recovered => {
+                details.recovered = recovered;
+            })
+            .then(() => progress.run(Phase.GET_DEVICE_INFO, () => getDeviceInfo(selectedDevice)))
             .then(deviceInfo => {
+                throwIfAborted(signal);
                 Object.assign(selectedDevice, { deviceInfo });
+                details.deviceInfo = deviceInfo;
 
-                const family = (deviceInfo.family || '').toLowerCase();
-                const deviceType = (deviceInfo.deviceType || '').toLowerCase();
-                const shortDeviceType = deviceType.split('_').shift();
-                const boardVersion = (selectedDevice.boardVersion || '').toLowerCase();
-
-                const key = Object.keys(jprog).find(k => k.toLowerCase() === deviceType)
-                    || Object.keys(jprog).find(k => k.toLowerCase() === shortDeviceType)
-                    || Object.keys(jprog).find(k => k.toLowerCase() === boardVersion)
-                    || Object.keys(jprog).find(k => k.toLowerCase() === family);
-
+                const key = findJprogKey(jprog, selectedDevice, deviceInfo);
                 if (!key) {
                     throw new Error('No firmware defined for selected device');
                 }
                 debug('Found matching firmware definition', key);
-                return jprog[key];
+                details.firmwareKey = key;
+                // catch mistakes in the definition before anything is programmed
+                return getFirmwareTargets(jprog[key], deviceInfo);
             })
-            .then(async firmwareDefinition => (
-                {
-                    valid: await validateFirmware(selectedDevice, firmwareDefinition),
-                    firmwareDefinition,
-                }
-            ))
-            .then(({ valid, firmwareDefinition }) => {
-                if (valid) {
+            .then(targets => findOutdatedTargets(selectedDevice, targets, progress))
+            .then(outdatedTargets => {
+                if (outdatedTargets.length === 0) {
                     debug('Application firmware id matches');
                     return selectedDevice;
                 }
-                return confirmHelper(promiseConfirm)
+                return progress.run(Phase.CONFIRM, () => confirmHelper(promiseConfirm, signal))
                     .then(isConfirmed => {
                         if (!isConfirmed) {
                             // go on without update
                             return selectedDevice;
                         }
-                        return programFirmware(selectedDevice, firmwareDefinition)
-                            .then(() => {
-                                wasProgrammed = true;
+                        // a running nrfjprog operation can't be interrupted, last chance to abort
+                        throwIfAborted(signal);
+                        return programTargets(selectedDevice, outdatedTargets, progress)
+                            .then(results => {
+                                details.wasProgrammed = true;
+                                results.forEach(({ target, verification }) => {
+                                    if (!target) {
+                                        details.verification = verification;
+                                    } else if (target === 'qspi') {
+                                        details.qspi = { wasProgrammed: true, verification };
+                                    } else {
+                                        details.cores = Object.assign({}, details.cores, {
+                                            [target]: { wasProgrammed: true, verification },
+                                        });
+                                    }
+                                });
                             });
                     });
             })
             .then(
-                () => closeJLink(selectedDevice).then(() => selectedDevice),
-                err => closeJLink(selectedDevice).then(() => Promise.reject(err))
-            )
-            .then(() => createReturnValue(selectedDevice, { wasProgrammed }, detailedOutput));
+                () => progress.run(Phase.CLOSE_JLINK, () => closeJLink(selectedDevice))
+                    .then(() => selectedDevice),
+                err => progress.run(Phase.CLOSE_JLINK, () => closeJLink(selectedDevice))
+                    .then(() => Promise.reject(err))
+            ))
+            .then(() => createReturnValue(selectedDevice, details, detailedOutput));
     }
 
     debug('Selected device cannot be prepared, maybe the app still can use it');
     return Promise.resolve(createReturnValue(
         selectedDevice,
-        { wasProgrammed: false },
+        createDetails(null),
         detailedOutput,
     ));
 }
+
+/**
+ * Prepares a device listed by nrf-device-lister with expected application firmware
+ * configured by options for different device types.
+ * Based on the device type it decides whether it should be programmed by DFU or JProg.
+ * Resolves if the setup was successful. Rejects with an error if the setup failed.
+ * If detailedOutput is enabled, it will resolve with an object on the form
+ * { device: {}, details: { wasProgrammed: [true|false], method, firmwareKey, semver, dfuInfo,
+ * bootloaderVersion, bootloaderUpdated, deviceInfo, verification, cores, qspi, recovered } }.
+ * If not, it will resolve with the device object only. Details which aren't known for the
+ * device are null.
+ * Overlapping calls for the same device are queued or rejected as configured by `lock`,
+ * see withDeviceLock.
+ *
+ * @example
+ * const preparedDevice = await setupDevice(selectedDevice,
+ *     {
+ *         dfu: {
+ *             // can have several firmwares defined, the key is matched against the board
+ *             // version, USB product or product ID, the matching keys are offered to choose from
+ *             pca10059: {
+ *                 fw: path.resolve(__dirname, 'fw/rssi-10059.hex'),
+ *                 semver: 'rssi_cdc_acm 2.0.0+dfuMar-27-2018-12-41-04',
+ *             },
+ *         },
+ *         jprog: {
+ *             nrf52: {
+ *                 fw: path.resolve(__dirname, 'fw/rssi-10040.hex'),
+ *                 fwVersion: 'rssi-fw-1.0.0',
+ *                 fwIdAddress: 0x2000,
+ *             },
+ *         },
+ *         needSerialport: true,
+ *         detailedOutput: false,
+ *
+ *         // optional, the bootloader package to install instead of the registered one,
+ *         // its version is read from the package if not given, and the update policy:
+ *         // 'never', 'ask' (default), 'always' or 'ifOlderThan'
+ *         bootloader: {
+ *             package: path.resolve(__dirname, 'bootloader/my-bootloader.zip'),
+ *             version: 4,
+ *             policy: 'ifOlderThan',
+ *         },
+ *
+ *         // called if programming is needed to be confirmed
+ *         promiseConfirm: async message => (await inquirer.prompt([{
+ *             type: 'confirm', name: 'isConfirmed', message, default: false,
+ *         }])).isConfirmed,
+ *
+ *         // called if user need make a choice e.g. multiple DFU firmwares are defined
+ *         promiseChoice: async (message, choices) => (await inquirer.prompt([{
+ *             type: 'list', name: 'choice', message, choices,
+ *         }])).choice,
+ *
+ *         // called with { phase, status, serialNumber, timestamp, ... } events
+ *         onProgress: event => console.log(event.phase, event.status),
+ *
+ *         // aborts the setup when abortController.abort() is called
+ *         signal: abortController.signal,
+ *
+ *         // queue overlapping operations on the device, also across processes
+ *         lock: { wait: true, lockDir: os.tmpdir() },
+ *     },
+ * );
+ *
+ * @param {object} selectedDevice nrf-device-lister's device
+ * @param {object} options Setup options, as shown in the example above. May include
+ * { jprog, dfu, needSerialport, detailedOutput, bootloader, promiseChoice, promiseConfirm,
+ * promiseConfirmBootloader, promiseConfirmRecover, onProgress, signal, lock }
+ * @returns {Promise} Resolves with the device object that was set up, or
+ * device and details if detailedOutput is enabled. Rejects with an AbortError
+ * if the signal is aborted.
+ */
+export function setupDevice(selectedDevice, options) {
+    return withDeviceLock(
+        selectedDevice.serialNumber,
+        () => runSetup(selectedDevice, options),
+        options,
+    );
+}
+
+/**
+ * Sets up several devices in parallel, at most `concurrency` at the same time.
+ * Each device is set up by setupDevice, a failing device doesn't affect the others
+ * and the returned promise doesn't reject because of it. Operations that can't run
+ * in parallel, e.g. JLink sessions, are queued internally.
+ *
+ * The `options` can also be a function which returns the options for a given device.
+ * `detailedOutput` is always enabled for the individual setups.
+ *
+ * @example
+ * const results = await setupDevices(devices, options, { concurrency: 8 });
+ * results.filter(result => result.error).forEach(result => (
+ *     console.log(`${result.serialNumber} failed: ${result.error.message}`)
+ * ));
+ *
+ * @param {Array<Object>} devices nrf-device-lister's devices
+ * @param {Object|function} options setupDevice options, or function returning them per device
+ * @param {Object} [batchOptions] May include { concurrency }
+ * @returns {Promise<Array<Object>>} Resolves with a result for each device in the order of
+ * `devices`: { serialNumber, device, wasProgrammed, details, error, duration }
+ */
+export async function setupDevices(devices, options, batchOptions = {}) {
+    const { concurrency = DEFAULT_CONCURRENCY } = batchOptions;
+    const results = new Array(devices.length);
+    let nextIndex = 0;
+
+    const setupNext = async () => {
+        while (nextIndex < devices.length) {
+            const index = nextIndex;
+            nextIndex += 1;
+
+            const device = devices[index];
+            const startTime = Date.now();
+            const result = { serialNumber: device.serialNumber };
+            try {
+                // a failing options function only fails the setup of this device
+                const deviceOptions = Object.assign(
+                    {},
+                    typeof options === 'function' ? options(device) : options,
+                    { detailedOutput: true },
+                );
+                /* eslint-disable-next-line no-await-in-loop */
+                const { device: preparedDevice, details } = await setupDevice(
+                    device,
+                    deviceOptions,
+                );
+                Object.assign(result, {
+                    device: preparedDevice,
+                    wasProgrammed: details.wasProgrammed,
+                    details,
+                    error: null,
+                });
+            } catch (error) {
+                debugError(`Setup of ${device.serialNumber} failed: ${error.message}`);
+                Object.assign(result, {
+                    device,
+                    wasProgrammed: false,
+                    details: null,
+                    error,
+                });
+            }
+            result.duration = Date.now() - startTime;
+            results[index] = result;
+        }
+    };
+
+    const workers = [];
+    for (let i = 0; i < Math.min(Math.max(concurrency, 1), devices.length); i += 1) {
+        workers.push(setupNext());
+    }
+    await Promise.all(workers);
+    return results;
+}
+
+/**
+ * Describes the images of a firmware definition without programming them.
+ *
+ * @param {Array<Object>} images [{ name, firmwareImage }] for each image
+ * @returns {Array<Object>} [{ type, size, sha256 }] for each image
+ */
+function describeImages(images) {
+    return images.map(({ name, firmwareImage }) => ({
+        type: name,
+        size: firmwareImage.length,
+        sha256: createHash('sha256').update(firmwareImage).digest('hex'),
+    }));
+}
+
+/**
+ * Creates the plan as described for planDeviceSetup, without taking the device lock.
+ *
+ * @param {object} selectedDevice nrf-device-lister's device
+ * @param {object} options setupDevice options
+ * @returns {Promise<Object>} Resolves with the plan
+ */
+async function createPlan(selectedDevice, options) {
+    const { jprog, dfu } = options;
+    const progress = createProgressReporter(options.onProgress, selectedDevice.serialNumber);
+    const plan = {
+        serialNumber: selectedDevice.serialNumber,
+        method: null,
+        firmwareKey: null,
+        isFirmwareUpToDate: null,
+        wouldProgram: false,
+        images: [],
+    };
+    throwIfAborted(options.signal);
+
+    if (dfu && Object.keys(dfu).length !== 0) {
+        const inBootloader = isDeviceInDFUBootloader(selectedDevice);
+        const usbdev = selectedDevice.usb && selectedDevice.usb.device;
+        const interfaceNumber = (!inBootloader && usbdev) ? getDFUInterfaceNumber(usbdev) : -1;
+
+        if (inBootloader || interfaceNumber >= 0) {
+            plan.method = 'dfu';
+            plan.semver = null;
+            const bootloader = resolveBootloader(options.bootloader, selectedDevice);
+            plan.bootloader = {
+                version: null,
+                latestVersion: bootloader && (
+                    bootloader.version == null
+                        ? await getBootloaderPackageVersion(bootloader.path)
+                        : bootloader.version
+                ),
+                isOutdated: null,
+                policy: getBootloaderPolicy(options.bootloader),
+            };
+
+            if (inBootloader) {
+                plan.bootloader.version = await getBootloaderVersion(
+                    selectedDevice,
+                    options.signal,
+                );
+                if (bootloader) {
+                    plan.bootloader.isOutdated = (
+                        plan.bootloader.version < plan.bootloader.latestVersion
+                    );
+                }
+            } else {
+                plan.semver = await progress.run(
+                    Phase.CHECK_SEMVER,
+                    () => getSemVersion(usbdev, interfaceNumber),
+                );
+                const matchingKey = findMatchingDfuKey(dfu, plan.semver);
+                if (matchingKey !== undefined) {
+                    plan.firmwareKey = matchingKey;
+                    plan.isFirmwareUpToDate = true;
+                    return plan;
+                }
+            }
+
+            plan.isFirmwareUpToDate = false;
+            plan.wouldProgram = true;
+            // the operator isn't asked, with several or no candidates the key stays open
+            plan.candidateKeys = findDfuKeys(
+                dfu, selectedDevice, await getDevicePart(dfu, selectedDevice, options.signal),
+            );
+            if (plan.candidateKeys.length !== 1) {
+                return plan;
+            }
+            [plan.firmwareKey] = plan.candidateKeys;
+            const layout = await getFlashLayout(selectedDevice, options.signal);
+            const { errors, warnings } = validateImageLayout(dfu[plan.firmwareKey], layout);
+            plan.imageLayout = { errors, warnings };
+            plan.images = describeImages(
+                await loadFirmwareUpdates(dfu[plan.firmwareKey], layout.flashSize),
+            );
+            return plan;
+        }
+    }
+
+    if (jprog && selectedDevice.traits.includes('jlink')) {
+        plan.method = 'jprog';
+        await runJLinkSession(async () => {
+            await progress.run(Phase.OPEN_JLINK, () => openJLink(selectedDevice));
+            try {
+                plan.readbackProtection = await progress.run(
+                    Phase.CHECK_PROTECTION,
+                    () => getReadbackProtection(selectedDevice).catch(() => null),
+                );
+                if (plan.readbackProtection !== null && plan.readbackProtection !== 'none') {
+                    plan.wouldRecover = true;
+                    plan.wouldProgram = true;
+                    return;
+                }
+                plan.deviceInfo = await progress.run(
+                    Phase.GET_DEVICE_INFO,
+                    () => getDeviceInfo(selectedDevice),
+                );
+                const key = findJprogKey(jprog, selectedDevice, plan.deviceInfo);
+                if (!key) {
+                    throw new Error('No firmware defined for selected device');
+                }
+                plan.firmwareKey = key;
+                const targets = getFirmwareTargets(jprog[key], plan.deviceInfo);
+                const outdatedTargets = await findOutdatedTargets(
+                    selectedDevice, targets, progress,
+                );
+                plan.isFirmwareUpToDate = outdatedTargets.length === 0;
+                plan.wouldProgram = !plan.isFirmwareUpToDate;
+                plan.images = describeImages(targets.reduce((images, { target, definition }) => (
+                    images.concat(getImages(definition).map(({ name, fw }) => ({
+                        name: [target, name !== 'fw' && name].filter(Boolean).join(' ') || 'fw',
+                        firmwareImage: target === 'qspi'
+                            ? parseFirmwareImage(fw, 0, 0xFFFFFFFF)
+                            : parseFirmwareImage(fw),
+                    })))
+                ), []));
+            } finally {
+                await progress.run(Phase.CLOSE_JLINK, () => closeJLink(selectedDevice));
+            }
+        });
+    }
+
+    return plan;
+}
+
+/**
+ * Reports what setupDevice would do with the given device and options, without
+ * programming, erasing or resetting it. Only read-only queries are performed:
+ * the semver of the running application or the version of the running bootloader
+ * for DFU devices, and the readback protection, device info and firmware id for
+ * JLink devices. Of protected JLink devices nothing else can be read, their plan
+ * has `wouldRecover` set.
+ *
+ * The version of the bootloader can only be queried if the device is already in
+ * bootloader mode, otherwise `bootloader.version` is null.
+ *
+ * promiseChoice is never called: the dfu definitions matching the device are listed
+ * as `candidateKeys`, with several or none `firmwareKey` and `images` are left empty.
+ *
+ * @example
+ * const plan = await planDeviceSetup(selectedDevice, options);
+ * // {
+ * //     serialNumber: 'E5530B54CD8C',
+ * //     method: 'dfu',
+ * //     firmwareKey: 'pca10059',
+ * //     semver: 'rssi_cdc_acm 2.0.0+dfuMay-22-2018-10-43-22',
+ * //     isFirmwareUpToDate: false,
+ * //     wouldProgram: true,
+ * //     candidateKeys: ['pca10059'],
+ * //     bootloader: { version: null, latestVersion: 3, isOutdated: null },
+ * //     imageLayout: { errors: [], warnings: [] },
+ * //     images: [{ type: 'application', size: 43520, sha256: '6f1e...' }],
+ * // }
+ *
+ * @param {object} selectedDevice nrf-device-lister's device
+ * @param {object} options the same options as for setupDevice
+ * @returns {Promise<Object>} Resolves with the plan
+ */
+export function planDeviceSetup(selectedDevice, options) {
+    return withDeviceLock(
+        selectedDevice.serialNumber,
+        () => createPlan(selectedDevice, options),
+        options,
+    );
+}
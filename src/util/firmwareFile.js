@@ -0,0 +1,248 @@
+/* Copyright (c) 2010 - 2018, Nordic Semiconductor ASA
+ *
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice, this
+ *    list of conditions and the following disclaimer.
+ *
+ * 2. Redistributions in binary form must reproduce the above copyright
+ *    notice, this list of conditions and the following disclaimer in the
+ *    documentation and/or other materials provided with the distribution.
+ *
+ * 3. Neither the name of Nordic Semiconductor ASA nor the names of its
+ *    contributors may be used to endorse or promote products derived from this
+ *    software without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY, AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL NORDIC SEMICONDUCTOR ASA OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import MemoryMap from 'nrf-intel-hex';
+
+/**
+ * Formats of firmware files
+ */
+export const FirmwareFormat = {
+    HEX: 'hex',
+    ELF: 'elf',
+    BIN: 'bin',
+    UF2: 'uf2',
+};
+
+const EXTENSIONS = {
+    '.hex': FirmwareFormat.HEX,
+    '.ihex': FirmwareFormat.HEX,
+    '.elf': FirmwareFormat.ELF,
+    '.axf': FirmwareFormat.ELF,
+    '.out': FirmwareFormat.ELF,
+    '.bin': FirmwareFormat.BIN,
+    '.uf2': FirmwareFormat.UF2,
+};
+
+const ELF_MAGIC = [0x7F, 0x45, 0x4C, 0x46];
+const ELF_CLASS_32 = 1;
+const ELF_DATA_LITTLE_ENDIAN = 1;
+const ELF_PT_LOAD = 1;
+
+const UF2_BLOCK_SIZE = 512;
+const UF2_MAGIC_START0 = 0x0A324655;
+const UF2_MAGIC_START1 = 0x9E5D5157;
+const UF2_MAGIC_END = 0x0AB16F30;
+const UF2_FLAG_NOT_MAIN_FLASH = 0x00000001;
+
+/**
+ * Normalizes the firmware argument, which is either a path, the contents of
+ * a file, or an object with { file, format, baseAddress } where file is a path
+ * or contents, e.g. for raw binaries which need a base address.
+ *
+ * @param {string|Buffer|Object} firmware the firmware
+ * @returns {Object} { file, format, baseAddress } where format may be undefined
+ */
+function normalizeFirmware(firmware) {
+    if (firmware && !(firmware instanceof Uint8Array) && typeof firmware === 'object') {
+        return firmware;
+    }
+    return { file: firmware };
+}
+
+/**
+ * Detects the format of a firmware file from its magic numbers, or for Intel HEX
+ * from its first character. Raw binaries can't be detected.
+ *
+ * @param {Buffer} contents contents of the file
+ * @returns {string|undefined} the detected FirmwareFormat
+ */
+function detectFormatOfContents(contents) {
+    if (ELF_MAGIC.every((byte, index) => contents[index] === byte)) {
+        return FirmwareFormat.ELF;
+    }
+    if (contents.length >= UF2_BLOCK_SIZE
+        && contents.readUInt32LE(0) === UF2_MAGIC_START0
+        && contents.readUInt32LE(4) === UF2_MAGIC_START1) {
+        return FirmwareFormat.UF2;
+    }
+    if (/^\s*:/.test(contents.toString('latin1', 0, 64))) {
+        return FirmwareFormat.HEX;
+    }
+    return undefined;
+}
+
+/**
+ * Detects the format of a firmware. The format given explicitly is used if
+ * any, then the extension of the path, then the contents of the file.
+ *
+ * @param {string|Buffer|Object} firmware path or contents of the file, or
+ * { file, format, baseAddress }
+ * @returns {string} the FirmwareFormat
+ */
+export function detectFirmwareFormat(firmware) {
+    const { file, format } = normalizeFirmware(firmware);
+    if (format) {
+        if (!Object.keys(FirmwareFormat).some(key => FirmwareFormat[key] === format)) {
+            throw new Error(`Unknown firmware format ${format}`);
+        }
+        return format;
+    }
+    if (typeof file === 'string') {
+        const formatOfExtension = EXTENSIONS[path.extname(file).toLowerCase()];
+        if (formatOfExtension) {
+            return formatOfExtension;
+        }
+    }
+    const contents = (typeof file === 'string') ? fs.readFileSync(file) : Buffer.from(file);
+    const formatOfContents = detectFormatOfContents(contents);
+    if (!formatOfContents) {
+        throw new Error('Unknown firmware format, raw binaries need { file, format: \'bin\', baseAddress }');
+    }
+    return formatOfContents;
+}
+
+/**
+ * Loads the loadable segments of an ELF file by their physical addresses.
+ *
+ * @param {Buffer} contents contents of the ELF file
+ * @returns {MemoryMap} the loaded memory map
+ */
+function parseElf(contents) {
+    if (contents[4] !== ELF_CLASS_32) {
+        throw new Error('Only 32 bit ELF files are supported');
+    }
+    const isLittleEndian = contents[5] === ELF_DATA_LITTLE_ENDIAN;
+    const readUInt16 = offset => (
+        isLittleEndian ? contents.readUInt16LE(offset) : contents.readUInt16BE(offset)
+    );
+    const readUInt32 = offset => (
+        isLittleEndian ? contents.readUInt32LE(offset) : contents.readUInt32BE(offset)
+    );
+
+    const programHeaderOffset = readUInt32(0x1C);
+    const programHeaderSize = readUInt16(0x2A);
+    const programHeaderCount = readUInt16(0x2C);
+    const memMap = new MemoryMap();
+    for (let i = 0; i < programHeaderCount; i += 1) {
+        const header = programHeaderOffset + (i * programHeaderSize);
+        const type = readUInt32(header);
+        const offset = readUInt32(header + 0x04);
+        const physicalAddress = readUInt32(header + 0x0C);
+        const fileSize = readUInt32(header + 0x10);
+        if (type === ELF_PT_LOAD && fileSize > 0) {
+            const segment = new Uint8Array(contents.subarray(offset, offset + fileSize));
+            memMap.set(physicalAddress, segment);
+        }
+    }
+    return memMap.join();
+}
+
+/**
+ * Loads the blocks of an UF2 file, leaving out those not meant for the main flash.
+ *
+ * @param {Buffer} contents contents of the UF2 file
+ * @returns {MemoryMap} the loaded memory map
+ */
+function parseUf2(contents) {
+    if (contents.length % UF2_BLOCK_SIZE !== 0) {
+        throw new Error('Size of UF2 file is not a multiple of the block size');
+    }
+    const memMap = new MemoryMap();
+    for (let block = 0; block < contents.length; block += UF2_BLOCK_SIZE) {
+        if (contents.readUInt32LE(block) !== UF2_MAGIC_START0
+            || contents.readUInt32LE(block + 4) !== UF2_MAGIC_START1
+            || contents.readUInt32LE(block + UF2_BLOCK_SIZE - 4) !== UF2_MAGIC_END) {
+            throw new Error(`Invalid UF2 block at offset ${block}`);
+        }
+        const flags = contents.readUInt32LE(block + 8);
+        const targetAddress = contents.readUInt32LE(block + 12);
+        const payloadSize = contents.readUInt32LE(block + 16);
+        if (!(flags & UF2_FLAG_NOT_MAIN_FLASH)) { // eslint-disable-line no-bitwise
+            memMap.set(
+                targetAddress,
+                new Uint8Array(contents.subarray(block + 32, block + 32 + payloadSize)),
+            );
+        }
+    }
+    return memMap.join();
+}
+
+/**
+ * Loads a firmware file in Intel HEX, ELF, UF2 or raw binary format into a memory map.
+ *
+ * @example
+ * loadMemoryMap('app.hex');
+ * loadMemoryMap(fs.readFileSync('zephyr.elf'));
+ * loadMemoryMap({ file: 'zephyr.bin', baseAddress: 0x1000 });
+ *
+ * @param {string|Buffer|Object} firmware path or contents of the file, or
+ * { file, format, baseAddress } where baseAddress is required for raw binaries
+ * @returns {MemoryMap} the loaded memory map
+ */
+export function loadMemoryMap(firmware) {
+    const { file, baseAddress } = normalizeFirmware(firmware);
+    const format = detectFirmwareFormat(firmware);
+    const contents = (typeof file === 'string') ? fs.readFileSync(file) : Buffer.from(file);
+
+    switch (format) {
+        case FirmwareFormat.HEX:
+            return MemoryMap.fromHex(contents.toString());
+        case FirmwareFormat.ELF:
+            return parseElf(contents);
+        case FirmwareFormat.UF2:
+            return parseUf2(contents);
+        case FirmwareFormat.BIN:
+            if (!Number.isInteger(baseAddress)) {
+                throw new Error('Raw binary firmware needs a baseAddress');
+            }
+            return new MemoryMap([[baseAddress, new Uint8Array(contents)]]);
+        default:
+            throw new Error(`Unknown firmware format ${format}`);
+    }
+}
+
+/**
+ * Converts a firmware file to Intel HEX, files which are already in Intel HEX
+ * are returned as they are.
+ *
+ * @param {string|Buffer|Object} firmware path or contents of the file, or
+ * { file, format, baseAddress }
+ * @returns {string} the firmware in Intel HEX format
+ */
+export function toHexString(firmware) {
+    if (detectFirmwareFormat(firmware) === FirmwareFormat.HEX) {
+        const { file } = normalizeFirmware(firmware);
+        return (typeof file === 'string') ? fs.readFileSync(file, 'utf-8') : Buffer.from(file).toString();
+    }
+    return loadMemoryMap(firmware).asHexString();
+}
@@ -34,9 +34,19 @@
  * THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
  */
 
+import { createHash as createDigest } from 'crypto';
 import protobuf from 'protobufjs';
 import { Record } from 'immutable';
 import dfuCcProto from './dfu-cc';
+import crc32 from './crc32';
+import {
+    loadPrivateKey,
+    loadPublicKey,
+    signEcdsaP256Sha256,
+    signEd25519,
+    verifyEcdsaP256Sha256,
+    verifyEd25519,
+} from './signing';
 
 const root = protobuf.Root.fromJSON(dfuCcProto);
 
@@ -156,17 +166,6 @@ function createSignedCommand(command, signatureType, signature) {
     return signedCommand;
 }
 
-// Create packet
-function createPacket(command, isSigned) {
-    const packetPayload = {
-        [isSigned ? 'signedCommand' : 'command']: command,
-    };
-    const packetMessage = root.lookupType('dfu.Packet');
-    const packet = packetMessage.create(packetPayload);
-
-    return packet;
-}
-
 // Convert protocol buffer message to buffer
 function messageToBuffer(type, message) {
     if (!message) {
@@ -179,6 +178,34 @@ function messageToBuffer(type, message) {
     return buffer;
 }
 
+// Sign the serialized command with ECDSA P-256 or Ed25519, depending on the key
+function signCommand(command, signingKey) {
+    const privateKey = loadPrivateKey(signingKey);
+    const commandBuffer = messageToBuffer('Command', command);
+
+    if (privateKey.asymmetricKeyType === 'ed25519') {
+        return {
+            signatureType: SignatureType.ED25519,
+            signature: signEd25519(commandBuffer, privateKey),
+        };
+    }
+    return {
+        signatureType: SignatureType.ECDSA_P256_SHA256,
+        signature: signEcdsaP256Sha256(commandBuffer, privateKey),
+    };
+}
+
+// Create packet
+function createPacket(command, isSigned) {
+    const packetPayload = {
+        [isSigned ? 'signedCommand' : 'command']: command,
+    };
+    const packetMessage = root.lookupType('dfu.Packet');
+    const packet = packetMessage.create(packetPayload);
+
+    return packet;
+}
+
 /**
  * Create reset command packet
  *
@@ -253,6 +280,10 @@ export function createResetPacketBuffer(timeout, signatureType, signature) {
  * @param {Boolean}         isDebug         whether it is in debug mode or not
  * @param {SignatureType}   signatureType   the type of signature
  * @param {Array}           signature       the signature in bytes
+ * @param {KeyObject|Buffer|string} signingKey ECDSA P-256 or Ed25519 private key
+ *                                          to calculate the signature with, as KeyObject,
+ *                                          PEM contents or path of PEM file. If given,
+ *                                          signatureType and signature are ignored.
  *
  * @returns {Object} init command packet
  */
@@ -269,11 +300,13 @@ export function createInitPacket(
     isDebug,
     signatureType,
     signature,
+    signingKey,
 ) {
     try {
         // It checks both null and undefined here
-        if ((signatureType == null && signature != null)
-            || (signatureType != null && signature == null)) {
+        if (signingKey == null
+            && ((signatureType == null && signature != null)
+            || (signatureType != null && signature == null))) {
             throw new Error('Either signature type or signature is not set');
         }
 
@@ -294,7 +327,11 @@ export function createInitPacket(
         let isSigned = false;
 
         // Create signed command if it is signed
-        if (signatureType != null && signature != null) {
+        if (signingKey != null) {
+            const signed = signCommand(command, signingKey);
+            command = createSignedCommand(command, signed.signatureType, signed.signature);
+            isSigned = true;
+        } else if (signatureType != null && signature != null) {
             command = createSignedCommand(command, signatureType, signature);
             isSigned = true;
         }
@@ -323,6 +360,8 @@ export function createInitPacket(
  * @param {Boolean}         isDebug         whether it is in debug mode or not
  * @param {SignatureType}   signatureType   the type of signature
  * @param {Array}           signature       the signature in bytes
+ * @param {KeyObject|Buffer|string} signingKey ECDSA P-256 or Ed25519 private key
+ *                                          to calculate the signature with, see createInitPacket
  *
  * @returns {Buffer} converted from init command packet
  */
@@ -339,6 +378,7 @@ export function createInitPacketBuffer(
     isDebug,
     signatureType,
     signature,
+    signingKey,
 ) {
     const packet = createInitPacket(
         fwVersion,
@@ -353,6 +393,7 @@ export function createInitPacketBuffer(
         isDebug,
         signatureType,
         signature,
+        signingKey,
     );
     const buffer = messageToBuffer('Packet', packet);
 
@@ -385,3 +426,177 @@ export function createInitPacketUint8Array(packetParams) {
 
     return new Uint8Array(buffer);
 }
+
+/**
+ * Create signed init command packet Uint8Array.
+ * The signature is calculated over the serialized Command, which is what
+ * the bootloader verifies. The signatureType is derived from the key, the
+ * signatureType and signature of packetParams are ignored.
+ *
+ * @param {InitPacket} packetParams the InitPacket which carries all infomations
+ * @param {KeyObject|Buffer|string} signingKey ECDSA P-256 or Ed25519 private key,
+ * as KeyObject, PEM contents or path of PEM file
+ *
+ * @returns {Uint8Array} converted from signed init command packet buffer
+ */
+export function createSignedInitPacketUint8Array(packetParams, signingKey) {
+    const initCommand = createInitCommand(
+        packetParams.fwVersion,
+        packetParams.hwVersion,
+        packetParams.sdReq,
+        packetParams.fwType,
+        packetParams.sdSize,
+        packetParams.blSize,
+        packetParams.appSize,
+        createHash(packetParams.hashType, packetParams.hash),
+        packetParams.isDebug,
+    );
+    const command = createCommand(OpCode.INIT, initCommand);
+    const { signatureType, signature } = signCommand(command, signingKey);
+    const signedCommand = createSignedCommand(command, signatureType, signature);
+    const buffer = messageToBuffer('Packet', createPacket(signedCommand, true));
+
+    return new Uint8Array(buffer);
+}
+
+/**
+ * Verify the signature of a signed init command packet against a public key.
+ *
+ * @param {Buffer|Uint8Array}       packetBuffer    the serialized packet e.g. contents of .dat file
+ * @param {KeyObject|Buffer|string} publicKey       ECDSA P-256 or Ed25519 public key
+ *                                                  as KeyObject, PEM contents or path of PEM file
+ *
+ * @returns {boolean} true if the packet is signed and the signature is valid
+ */
+export function verifyInitPacket(packetBuffer, publicKey) {
+    const packet = root.lookupType('dfu.Packet').decode(packetBuffer);
+    const { signedCommand } = packet;
+    if (!signedCommand) {
+        return false;
+    }
+
+    const key = loadPublicKey(publicKey);
+    const commandBuffer = messageToBuffer('Command', signedCommand.command);
+    switch (signedCommand.signatureType) {
+        case SignatureType.ECDSA_P256_SHA256:
+            if (key.asymmetricKeyType !== 'ec') {
+                throw new Error(`Packet is signed with ECDSA P-256, got ${key.asymmetricKeyType} key`);
+            }
+            return verifyEcdsaP256Sha256(commandBuffer, signedCommand.signature, key);
+        case SignatureType.ED25519:
+            if (key.asymmetricKeyType !== 'ed25519') {
+                throw new Error(`Packet is signed with Ed25519, got ${key.asymmetricKeyType} key`);
+            }
+            return verifyEd25519(commandBuffer, signedCommand.signature, key);
+        default:
+            throw new Error(`Unknown signature type ${signedCommand.signatureType}`);
+    }
+}
+
+// Find the name of a value in one of the enum tables above, e.g. FwType
+function enumName(enumObject, value) {
+    const name = Object.keys(enumObject).find(key => enumObject[key] === value);
+    return name === undefined ? null : name;
+}
+
+/**
+ * Calculate the hash of a firmware image the way it is stored in the init packet.
+ * The CRC is stored as 32 bit little-endian integer, the SHA-256 and SHA-512
+ * digests in reversed byte order, as the bootloader expects them.
+ *
+ * @param {HashType}            hashType    the type of hash, CRC, SHA256 or SHA512
+ * @param {Buffer|Uint8Array}   image       the firmware binary
+ *
+ * @returns {Buffer} the hash in bytes
+ */
+export function calculateFirmwareHash(hashType, image) {
+    switch (hashType) {
+        case HashType.CRC: {
+            const hash = Buffer.alloc(4);
+            hash.writeUInt32LE(crc32(image), 0);
+            return hash;
+        }
+        case HashType.SHA256:
+        case HashType.SHA512: {
+            const digest = createDigest(hashType === HashType.SHA256 ? 'sha256' : 'sha512');
+            digest.update(image);
+            return Buffer.from(digest.digest().reverse());
+        }
+        default:
+            throw new Error(`Unsupported hash type ${enumName(HashType, hashType) || hashType}, `
+                + 'use CRC, SHA256 or SHA512');
+    }
+}
+
+/**
+ * Decode a serialized init command packet, e.g. the contents of a .dat file.
+ * Both signed and unsigned packets are supported.
+ *
+ * @param {Buffer|Uint8Array} packetBuffer the serialized packet
+ *
+ * @returns {Object} with the decoded InitPacket as `initPacket`, `isSigned`, and
+ * the readable names `fwTypeName`, `hashTypeName` and `signatureTypeName`
+ */
+export function parseInitPacket(packetBuffer) {
+    const packet = root.lookupType('dfu.Packet').decode(packetBuffer);
+    const { signedCommand } = packet;
+    const command = signedCommand ? signedCommand.command : packet.command;
+    if (!command || command.opCode !== OpCode.INIT || !command.init) {
+        throw new Error('Packet does not contain an init command');
+    }
+
+    const { init } = command;
+    const has = field => Object.prototype.hasOwnProperty.call(init, field);
+    let parsed = new InitPacket({
+        sdReq: Array.from(init.sdReq),
+        fwType: has('type') ? init.type : FwType.APPLICATION,
+        sdSize: init.sdSize,
+        blSize: init.blSize,
+        appSize: init.appSize,
+        isDebug: init.isDebug,
+    });
+    if (has('fwVersion')) {
+        parsed = parsed.set('fwVersion', init.fwVersion);
+    }
+    if (has('hwVersion')) {
+        parsed = parsed.set('hwVersion', init.hwVersion);
+    }
+    if (init.hash) {
+        parsed = parsed
+            .set('hashType', init.hash.hashType)
+            .set('hash', Buffer.from(init.hash.hash));
+    }
+    if (signedCommand) {
+        parsed = parsed
+            .set('signatureType', signedCommand.signatureType)
+            .set('signature', Buffer.from(signedCommand.signature));
+    }
+
+    return {
+        initPacket: parsed,
+        isSigned: !!signedCommand,
+        fwTypeName: enumName(FwType, parsed.fwType),
+        hashTypeName: enumName(HashType, parsed.hashType),
+        signatureTypeName: enumName(SignatureType, parsed.signatureType),
+    };
+}
+
+/**
+ * Check that the hash embedded in an init command packet matches a firmware binary.
+ *
+ * @param {Buffer|Uint8Array|InitPacket} packet the serialized packet or an InitPacket
+ * as returned by parseInitPacket
+ * @param {Buffer|Uint8Array} image the firmware binary, e.g. contents of .bin file
+ *
+ * @returns {boolean} true if the hash matches
+ */
+export function verifyInitPacketHash(packet, image) {
+    const { hashType, hash } = (packet instanceof InitPacket)
+        ? packet
+        : parseInitPacket(packet).initPacket;
+    if (hash == null) {
+        throw new Error('Packet does not contain a hash');
+    }
+
+    return calculateFirmwareHash(hashType, image).equals(Buffer.from(hash));
+}
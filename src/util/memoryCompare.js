@@ -0,0 +1,89 @@
+/* Copyright (c) 2010 - 2018, Nordic Semiconductor ASA
+ *
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice, this
+ *    list of conditions and the following disclaimer.
+ *
+ * 2. Redistributions in binary form must reproduce the above copyright
+ *    notice, this list of conditions and the following disclaimer in the
+ *    documentation and/or other materials provided with the distribution.
+ *
+ * 3. Neither the name of Nordic Semiconductor ASA nor the names of its
+ *    contributors may be used to endorse or promote products derived from this
+ *    software without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY, AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL NORDIC SEMICONDUCTOR ASA OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+
+/**
+ * Compares memory contents read back from a device with the expected contents,
+ * and returns the address ranges where they differ. Adjacent mismatching bytes
+ * are merged into one range, missing bytes of `actual` count as mismatches.
+ *
+ * @param {Uint8Array} expected expected contents
+ * @param {Uint8Array|Array<number>} actual contents read from the device
+ * @param {number} address address of the first byte
+ * @returns {Array<Object>} [{ start, end }] of the mismatching ranges, end is exclusive
+ */
+export function findMismatchingRanges(expected, actual, address) {
+    const ranges = [];
+    let current = null;
+    for (let i = 0; i < expected.length; i += 1) {
+        if (i >= actual.length || expected[i] !== actual[i]) {
+            if (current && current.end === address + i) {
+                current.end += 1;
+            } else {
+                current = { start: address + i, end: address + i + 1 };
+                ranges.push(current);
+            }
+        }
+    }
+    return ranges;
+}
+
+/**
+ * Merges adjacent or overlapping address ranges, e.g. the mismatches of
+ * consecutive chunks of a block.
+ *
+ * @param {Array<Object>} ranges [{ start, end }]
+ * @returns {Array<Object>} the merged ranges, sorted by start address
+ */
+export function mergeRanges(ranges) {
+    return ranges
+        .slice()
+        .sort((a, b) => a.start - b.start)
+        .reduce((merged, range) => {
+            const last = merged[merged.length - 1];
+            if (last && range.start <= last.end) {
+                last.end = Math.max(last.end, range.end);
+            } else {
+                merged.push(Object.assign({}, range));
+            }
+            return merged;
+        }, []);
+}
+
+/**
+ * Formats address ranges for messages, e.g. '0x1000-0x1010, 0x2000-0x2001'.
+ *
+ * @param {Array<Object>} ranges [{ start, end }]
+ * @returns {string} the ranges in hex, end is exclusive
+ */
+export function formatRanges(ranges) {
+    const hex = value => `0x${value.toString(16).toUpperCase()}`;
+    return ranges.map(({ start, end }) => `${hex(start)}-${hex(end)}`).join(', ');
+}
@@ -0,0 +1,149 @@
+/* Copyright (c) 2010 - 2018, Nordic Semiconductor ASA
+ *
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice, this
+ *    list of conditions and the following disclaimer.
+ *
+ * 2. Redistributions in binary form must reproduce the above copyright
+ *    notice, this list of conditions and the following disclaimer in the
+ *    documentation and/or other materials provided with the distribution.
+ *
+ * 3. Neither the name of Nordic Semiconductor ASA nor the names of its
+ *    contributors may be used to endorse or promote products derived from this
+ *    software without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY, AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL NORDIC SEMICONDUCTOR ASA OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+
+import fs from 'fs';
+import crypto from 'crypto';
+
+/**
+ * Loads a private key used for signing init packets.
+ *
+ * @param {KeyObject|Buffer|string} key the key as KeyObject, as PEM contents
+ * in a Buffer or string, or the path of a PEM file
+ * @returns {KeyObject} the private key
+ */
+export function loadPrivateKey(key) {
+    if (key instanceof crypto.KeyObject) {
+        return key;
+    }
+    const isPem = key instanceof Buffer || key.trim().startsWith('-----BEGIN');
+    const contents = isPem ? key : fs.readFileSync(key);
+    try {
+        return crypto.createPrivateKey(contents);
+    } catch (err) {
+        throw new Error(`Couldn't load signing key: ${err.message}`);
+    }
+}
+
+/**
+ * Loads a public key used for verifying signed init packets.
+ *
+ * @param {KeyObject|Buffer|string} key the key as KeyObject, as PEM contents
+ * in a Buffer or string, or the path of a PEM file. A private key is also
+ * accepted, its public part is used then.
+ * @returns {KeyObject} the public key
+ */
+export function loadPublicKey(key) {
+    if (key instanceof crypto.KeyObject) {
+        return key.type === 'private' ? crypto.createPublicKey(key) : key;
+    }
+    const isPem = key instanceof Buffer || key.trim().startsWith('-----BEGIN');
+    const contents = isPem ? key : fs.readFileSync(key);
+    try {
+        return crypto.createPublicKey(contents);
+    } catch (err) {
+        throw new Error(`Couldn't load public key: ${err.message}`);
+    }
+}
+
+/**
+ * Signs data with ECDSA on curve P-256 using SHA-256, the way the nRF5 SDK
+ * bootloader expects: the raw 32 bytes of r followed by the 32 bytes of s,
+ * both in little-endian byte order.
+ *
+ * @param {Buffer|Uint8Array} data the data to sign
+ * @param {KeyObject} privateKey ECDSA P-256 private key
+ * @returns {Buffer} the 64 bytes signature
+ */
+export function signEcdsaP256Sha256(data, privateKey) {
+    if (privateKey.asymmetricKeyType !== 'ec') {
+        throw new Error(`Expected an ECDSA P-256 private key, got ${privateKey.asymmetricKeyType}`);
+    }
+    const signature = crypto.sign('sha256', data, {
+        key: privateKey,
+        dsaEncoding: 'ieee-p1363',
+    });
+    if (signature.length !== 64) {
+        throw new Error('Expected an ECDSA private key on curve P-256');
+    }
+    return Buffer.concat([
+        signature.slice(0, 32).reverse(),
+        signature.slice(32).reverse(),
+    ]);
+}
+
+/**
+ * Verifies a signature created by signEcdsaP256Sha256.
+ *
+ * @param {Buffer|Uint8Array} data the signed data
+ * @param {Buffer|Uint8Array} signature the 64 bytes signature, r and s in little-endian
+ * @param {KeyObject} publicKey ECDSA P-256 public key
+ * @returns {boolean} true if the signature is valid
+ */
+export function verifyEcdsaP256Sha256(data, signature, publicKey) {
+    if (signature.length !== 64) {
+        return false;
+    }
+    const bigEndianSignature = Buffer.concat([
+        Buffer.from(signature.slice(0, 32)).reverse(),
+        Buffer.from(signature.slice(32)).reverse(),
+    ]);
+    return crypto.verify('sha256', data, {
+        key: publicKey,
+        dsaEncoding: 'ieee-p1363',
+    }, bigEndianSignature);
+}
+
+/**
+ * Signs data with Ed25519. The signature is used as is, i.e. the 32 bytes
+ * of R followed by the 32 bytes of S as specified by RFC 8032.
+ *
+ * @param {Buffer|Uint8Array} data the data to sign
+ * @param {KeyObject} privateKey Ed25519 private key
+ * @returns {Buffer} the 64 bytes signature
+ */
+export function signEd25519(data, privateKey) {
+    if (privateKey.asymmetricKeyType !== 'ed25519') {
+        throw new Error(`Expected an Ed25519 private key, got ${privateKey.asymmetricKeyType}`);
+    }
+    return crypto.sign(null, data, privateKey);
+}
+
+/**
+ * Verifies a signature created by signEd25519.
+ *
+ * @param {Buffer|Uint8Array} data the signed data
+ * @param {Buffer|Uint8Array} signature the 64 bytes signature
+ * @param {KeyObject} publicKey Ed25519 public key
+ * @returns {boolean} true if the signature is valid
+ */
+export function verifyEd25519(data, signature, publicKey) {
+    return crypto.verify(null, data, publicKey, signature);
+}
@@ -0,0 +1,107 @@
+/* Copyright (c) 2010 - 2018, Nordic Semiconductor ASA
+ *
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice, this
+ *    list of conditions and the following disclaimer.
+ *
+ * 2. Redistributions in binary form must reproduce the above copyright
+ *    notice, this list of conditions and the following disclaimer in the
+ *    documentation and/or other materials provided with the distribution.
+ *
+ * 3. Neither the name of Nordic Semiconductor ASA nor the names of its
+ *    contributors may be used to endorse or promote products derived from this
+ *    software without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY, AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL NORDIC SEMICONDUCTOR ASA OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+
+const path = require('path');
+const { bootloaders } = require('../');
+
+const {
+    registerBootloader,
+    unregisterBootloader,
+    findBootloader,
+    resolveBootloader,
+    getBootloaderPackageVersion,
+    BootloaderPolicy,
+} = bootloaders;
+
+const dongleInBootloader = {
+    serialNumber: 'E5530B54CD8C',
+    serialport: { vendorId: '1915', productId: '521f' },
+};
+
+describe('bootloaders', () => {
+    afterEach(() => {
+        unregisterBootloader('PCA10099');
+        unregisterBootloader(0xC00A);
+    });
+
+    it('finds the bundled bootloader of PCA10059 by board version', async () => {
+        const bootloader = findBootloader({ boardVersion: 'PCA10059' });
+
+        expect(bootloader.key).toEqual('PCA10059');
+        expect(path.basename(bootloader.path)).toMatch(/^graviton_bootloader/);
+        expect(await getBootloaderPackageVersion(bootloader.path)).toEqual(3);
+    });
+
+    it('offers the bundled bootloader by USB product ID only after confirmation', () => {
+        expect(findBootloader(dongleInBootloader)).toEqual(null);
+        expect(resolveBootloader(undefined, dongleInBootloader).key).toEqual('0x521F');
+        expect(resolveBootloader({ policy: 'ifOlderThan' }, dongleInBootloader)).toEqual(null);
+        expect(resolveBootloader({ policy: 'always' }, dongleInBootloader)).toEqual(null);
+    });
+
+    it('prefers the board version and the first device', () => {
+        registerBootloader('pca10099', '/bootloaders/pca10099.zip');
+        registerBootloader('0xC00A', '/bootloaders/c00a.zip');
+        const device = {
+            boardVersion: 'PCA10099',
+            usb: { device: { deviceDescriptor: { idProduct: 0xC00A } } },
+        };
+
+        expect(findBootloader(device).path).toEqual('/bootloaders/pca10099.zip');
+        expect(findBootloader({ usb: device.usb }, dongleInBootloader).path)
+            .toEqual('/bootloaders/c00a.zip');
+        expect(findBootloader({ serialNumber: '1234' })).toEqual(null);
+        expect(unregisterBootloader('PCA10099')).toEqual(true);
+        expect(findBootloader(device).path).toEqual('/bootloaders/c00a.zip');
+    });
+
+    it('prefers the package of the options over the registered one', () => {
+        const bootloader = resolveBootloader({
+            package: '/bootloaders/custom.zip',
+            version: 5,
+            policy: 'always',
+        }, dongleInBootloader);
+
+        expect(bootloader).toEqual({
+            key: null,
+            path: '/bootloaders/custom.zip',
+            version: 5,
+            policy: BootloaderPolicy.ALWAYS,
+        });
+        expect(resolveBootloader(undefined, dongleInBootloader).policy)
+            .toEqual(BootloaderPolicy.ASK);
+    });
+
+    it('rejects unknown policies', () => {
+        expect(() => resolveBootloader({ policy: 'sometimes' }, dongleInBootloader))
+            .toThrow(/Unknown bootloader policy sometimes/);
+    });
+});
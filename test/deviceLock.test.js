@@ -0,0 +1,99 @@
+/* Copyright (c) 2010 - 2018, Nordic Semiconductor ASA
+ *
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice, this
+ *    list of conditions and the following disclaimer.
+ *
+ * 2. Redistributions in binary form must reproduce the above copyright
+ *    notice, this list of conditions and the following disclaimer in the
+ *    documentation and/or other materials provided with the distribution.
+ *
+ * 3. Neither the name of Nordic Semiconductor ASA nor the names of its
+ *    contributors may be used to endorse or promote products derived from this
+ *    software without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY, AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL NORDIC SEMICONDUCTOR ASA OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { withDeviceLock, isDeviceLocked } = require('../');
+
+const SERIAL_NUMBER = 'LOCKTEST0001';
+
+function deferred() {
+    let resolve;
+    const promise = new Promise(r => { resolve = r; });
+    return { promise, resolve };
+}
+
+describe('withDeviceLock', () => {
+    it('queues overlapping operations on the same device', async () => {
+        const order = [];
+        const first = deferred();
+        const running = withDeviceLock(SERIAL_NUMBER, async () => {
+            order.push('first start');
+            await first.promise;
+            order.push('first end');
+        });
+        const queued = withDeviceLock(SERIAL_NUMBER, () => order.push('second'));
+        const other = withDeviceLock('LOCKTEST0002', () => order.push('other device'));
+
+        await other;
+        expect(isDeviceLocked(SERIAL_NUMBER)).toBe(true);
+        first.resolve();
+        await Promise.all([running, queued]);
+        expect(order).toEqual(['first start', 'other device', 'first end', 'second']);
+        expect(isDeviceLocked(SERIAL_NUMBER)).toBe(false);
+    });
+
+    it('rejects overlapping operations if waiting is disabled', async () => {
+        const first = deferred();
+        const running = withDeviceLock(SERIAL_NUMBER, () => first.promise);
+        await expect(withDeviceLock(SERIAL_NUMBER, () => {}, { lock: { wait: false } }))
+            .rejects.toMatchObject({ code: 'DEVICE_BUSY' });
+        await expect(withDeviceLock(SERIAL_NUMBER, () => {}, { lock: { timeout: 10 } }))
+            .rejects.toMatchObject({ code: 'DEVICE_BUSY' });
+        first.resolve();
+        await running;
+        await expect(withDeviceLock(SERIAL_NUMBER, () => 'done')).resolves.toBe('done');
+    });
+
+    it('creates a lock file and removes stale ones', async () => {
+        const lockDir = fs.mkdtempSync(path.join(os.tmpdir(), 'device-lock-'));
+        const lockFile = path.join(lockDir, `nrf-device-setup-${SERIAL_NUMBER}.lock`);
+        const lock = { lockDir };
+
+        await withDeviceLock(SERIAL_NUMBER, () => {
+            expect(fs.readFileSync(lockFile, 'utf8')).toBe(String(process.pid));
+        }, { lock });
+        expect(fs.existsSync(lockFile)).toBe(false);
+
+        // a process which has already exited
+        fs.writeFileSync(lockFile, '999999999');
+        await expect(withDeviceLock(SERIAL_NUMBER, () => 'done', { lock })).resolves.toBe('done');
+
+        // another process which is still running
+        fs.writeFileSync(lockFile, String(process.ppid));
+        await expect(withDeviceLock(SERIAL_NUMBER, () => {}, {
+            lock: Object.assign({ wait: false }, lock),
+        })).rejects.toMatchObject({ code: 'DEVICE_BUSY' });
+        fs.unlinkSync(lockFile);
+        fs.rmdirSync(lockDir);
+    });
+});
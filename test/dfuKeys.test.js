@@ -0,0 +1,99 @@
+/* Copyright (c) 2010 - 2018, Nordic Semiconductor ASA
+ *
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice, this
+ *    list of conditions and the following disclaimer.
+ *
+ * 2. Redistributions in binary form must reproduce the above copyright
+ *    notice, this list of conditions and the following disclaimer in the
+ *    documentation and/or other materials provided with the distribution.
+ *
+ * 3. Neither the name of Nordic Semiconductor ASA nor the names of its
+ *    contributors may be used to endorse or promote products derived from this
+ *    software without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY, AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL NORDIC SEMICONDUCTOR ASA OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+
+const { findDfuKeys, selectDfuKey } = require('../');
+
+const dfu = {
+    pca10059: { params: { hwVersion: 52 } },
+    'Open DFU Bootloader': {},
+    '0x521F': {},
+    pca10100: { params: { hwVersion: 52 } },
+    nrf5340: { params: { hwVersion: 53 } },
+};
+
+const dongle = {
+    boardVersion: 'PCA10059',
+    usb: { product: 'Open DFU Bootloader', device: { deviceDescriptor: { idProduct: 0x521F } } },
+};
+
+describe('findDfuKeys', () => {
+    it('matches board version, USB product and product ID in this order', () => {
+        expect(findDfuKeys(dfu, dongle)).toEqual(['pca10059']);
+        expect(findDfuKeys(dfu, Object.assign({}, dongle, { boardVersion: undefined })))
+            .toEqual(['Open DFU Bootloader']);
+        expect(findDfuKeys(dfu, { serialport: { productId: '521f' } })).toEqual(['0x521F']);
+    });
+
+    it('takes all definitions if no key matches', () => {
+        expect(findDfuKeys(dfu, { serialport: {} })).toEqual(Object.keys(dfu));
+    });
+
+    it('leaves out definitions whose hwVersion does not fit the part', () => {
+        const device = { serialport: {} };
+        expect(findDfuKeys(dfu, device, 0x52840))
+            .toEqual(['pca10059', 'Open DFU Bootloader', '0x521F', 'pca10100']);
+        expect(findDfuKeys(dfu, device, 0x5340)).toEqual(['nrf5340']);
+        expect(findDfuKeys(dfu, device, 0x51822)).toEqual([]);
+        expect(findDfuKeys({ a: { params: { hwVersion: 0x52833 } } }, device, 0x52833))
+            .toEqual(['a']);
+    });
+});
+
+describe('selectDfuKey', () => {
+    const device = { serialport: {} };
+
+    it('takes a single definition without asking', async () => {
+        const promiseChoice = jest.fn();
+        await expect(selectDfuKey({ only: {} }, device, 0x5340, promiseChoice))
+            .resolves.toBe('only');
+        expect(promiseChoice).not.toHaveBeenCalled();
+    });
+
+    it('asks only among the matching definitions', async () => {
+        const promiseChoice = jest.fn((question, choices) => Promise.resolve(choices[0]));
+        await expect(selectDfuKey(dfu, dongle, null, promiseChoice)).resolves.toBe('pca10059');
+        expect(promiseChoice).not.toHaveBeenCalled();
+        await expect(selectDfuKey(dfu, device, 0x52840, promiseChoice)).resolves.toBe('pca10059');
+        expect(promiseChoice).toHaveBeenCalledWith(
+            'Which firmware do you want to program?',
+            ['pca10059', 'Open DFU Bootloader', '0x521F', 'pca10100'],
+        );
+    });
+
+    it('takes the last matching definition without promiseChoice', async () => {
+        await expect(selectDfuKey(dfu, device, 0x52840)).resolves.toBe('pca10100');
+    });
+
+    it('fails if no definition fits the part', async () => {
+        await expect(selectDfuKey(dfu, device, 0x51822))
+            .rejects.toThrow('No firmware defined for selected device');
+    });
+});
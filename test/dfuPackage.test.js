@@ -0,0 +1,256 @@
+/* Copyright (c) 2010 - 2018, Nordic Semiconductor ASA
+ *
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice, this
+ *    list of conditions and the following disclaimer.
+ *
+ * 2. Redistributions in binary form must reproduce the above copyright
+ *    notice, this list of conditions and the following disclaimer in the
+ *    documentation and/or other materials provided with the distribution.
+ *
+ * 3. Neither the name of Nordic Semiconductor ASA nor the names of its
+ *    contributors may be used to endorse or promote products derived from this
+ *    software without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY, AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL NORDIC SEMICONDUCTOR ASA OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+
+const crypto = require('crypto');
+const JSZip = require('jszip');
+const MemoryMap = require('nrf-intel-hex');
+const {
+    createDfuPackage, readDfuPackage, loadFirmwareUpdates, initPacket,
+} = require('../');
+
+const { parseInitPacket, verifyInitPacketHash, FwType } = initPacket;
+
+const toHex = (address, size, fill) => Buffer.from(
+    new MemoryMap({ [address]: new Uint8Array(size).fill(fill) }).asHexString(),
+);
+
+const SOFTDEVICE = toHex(0x1000, 0x400, 0x11);
+const BOOTLOADER = toHex(0xF8000, 0x200, 0x22);
+const APPLICATION = toHex(0x26000, 0x100, 0x33);
+
+const unzip = async contents => {
+    const zip = await JSZip.loadAsync(contents);
+    const { manifest } = JSON.parse(await zip.file('manifest.json').async('text'));
+    const read = async name => ({
+        dat: await zip.file(manifest[name].dat_file).async('nodebuffer'),
+        bin: await zip.file(manifest[name].bin_file).async('nodebuffer'),
+    });
+    return { manifest, read };
+};
+
+describe('createDfuPackage', () => {
+    it('creates a package with an application', async () => {
+        const { manifest, read } = await unzip(await createDfuPackage({
+            application: APPLICATION,
+            params: { fwVersion: 7, sdId: [0xB6] },
+        }));
+        const { dat, bin } = await read('application');
+        const { initPacket: packet, fwTypeName } = parseInitPacket(dat);
+
+        expect(Object.keys(manifest)).toEqual(['application']);
+        expect(fwTypeName).toEqual('APPLICATION');
+        expect(packet.fwVersion).toEqual(7);
+        expect(packet.sdReq).toEqual([0xB6]);
+        expect(packet.appSize).toEqual(0x100);
+        expect(verifyInitPacketHash(dat, bin)).toEqual(true);
+    });
+
+    it('combines softdevice and bootloader into one update before the application', async () => {
+        const { manifest, read } = await unzip(await createDfuPackage({
+            application: APPLICATION,
+            softdevice: SOFTDEVICE,
+            bootloader: BOOTLOADER,
+            params: { blVersion: 2 },
+        }));
+        const { dat, bin } = await read('softdevice_bootloader');
+        const { initPacket: packet } = parseInitPacket(dat);
+
+        expect(Object.keys(manifest)).toEqual(['softdevice_bootloader', 'application']);
+        expect(manifest.softdevice_bootloader.info_read_only_metadata)
+            .toEqual({ bl_size: 0x200, sd_size: 0x400 });
+        expect(packet.fwType).toEqual(FwType.SOFTDEVICE_BOOTLOADER);
+        expect(packet.fwVersion).toEqual(2);
+        expect(bin.length).toEqual(0x600);
+        expect(bin[0x3FF]).toEqual(0x11);
+        expect(bin[0x400]).toEqual(0x22);
+        expect(verifyInitPacketHash(dat, bin)).toEqual(true);
+    });
+
+    it('leaves out MBR of softdevice and UICR of bootloader', async () => {
+        const hexOf = blocks => Buffer.from(new MemoryMap(blocks).asHexString());
+        const { manifest, read } = await unzip(await createDfuPackage({
+            softdevice: hexOf({
+                0: new Uint8Array(0x100).fill(0x44),
+                0x1000: new Uint8Array(0x400).fill(0x11),
+            }),
+            bootloader: hexOf({
+                0xF8000: new Uint8Array(0x200).fill(0x22),
+                0x10001014: new Uint8Array([0x00, 0x80, 0x0F, 0x00]),
+            }),
+        }));
+        const { bin } = await read('softdevice_bootloader');
+
+        expect(manifest.softdevice_bootloader.info_read_only_metadata)
+            .toEqual({ bl_size: 0x200, sd_size: 0x400 });
+        expect(bin.length).toEqual(0x600);
+    });
+
+    it('creates bootloader updates', async () => {
+        const { manifest, read } = await unzip(await createDfuPackage({
+            bootloader: BOOTLOADER,
+            params: { blVersion: 3 },
+        }));
+        const { initPacket: packet } = parseInitPacket((await read('bootloader')).dat);
+
+        expect(Object.keys(manifest)).toEqual(['bootloader']);
+        expect(packet.fwType).toEqual(FwType.BOOTLOADER);
+        expect(packet.blSize).toEqual(0x200);
+        expect(packet.fwVersion).toEqual(3);
+    });
+
+    it('uses the hash type of params', async () => {
+        const { read } = await unzip(await createDfuPackage({
+            application: APPLICATION,
+            params: { hashType: 'SHA512' },
+        }));
+        const { dat, bin } = await read('application');
+
+        expect(parseInitPacket(dat).hashTypeName).toEqual('SHA512');
+        expect(verifyInitPacketHash(dat, bin)).toEqual(true);
+    });
+
+    it('rejects unsupported hash types', async () => {
+        await expect(createDfuPackage({ application: APPLICATION, params: { hashType: 'NO_HASH' } }))
+            .rejects.toThrow(/Unsupported hash type/);
+        await expect(createDfuPackage({
+            application: APPLICATION,
+            params: { hashType: 'CRC' },
+            signingKey: crypto.generateKeyPairSync('ed25519').privateKey,
+        })).rejects.toThrow(/signingKey/);
+    });
+
+    it('rejects packages without images', async () => {
+        await expect(createDfuPackage({ params: {} })).rejects.toThrow();
+    });
+
+    describe('firmware formats', () => {
+        const address = 0x26000;
+        const data = Buffer.alloc(0x100, 0x33);
+
+        const toElf = () => {
+            const elf = Buffer.alloc(52 + 32 + data.length);
+            Buffer.from([0x7F, 0x45, 0x4C, 0x46, 1, 1, 1]).copy(elf);
+            elf.writeUInt32LE(52, 0x1C); // program header offset
+            elf.writeUInt16LE(32, 0x2A); // program header size
+            elf.writeUInt16LE(1, 0x2C); // program header count
+            elf.writeUInt32LE(1, 52); // PT_LOAD
+            elf.writeUInt32LE(84, 52 + 0x04); // offset
+            elf.writeUInt32LE(0x20000000, 52 + 0x08); // virtual address
+            elf.writeUInt32LE(address, 52 + 0x0C); // physical address
+            elf.writeUInt32LE(data.length, 52 + 0x10); // file size
+            data.copy(elf, 84);
+            return elf;
+        };
+
+        const toUf2 = () => {
+            const blocks = [0, 1].map(blockNo => {
+                const block = Buffer.alloc(512);
+                block.writeUInt32LE(0x0A324655, 0);
+                block.writeUInt32LE(0x9E5D5157, 4);
+                block.writeUInt32LE(address + (blockNo * 0x80), 12);
+                block.writeUInt32LE(0x80, 16);
+                block.writeUInt32LE(blockNo, 20);
+                block.writeUInt32LE(2, 24);
+                data.copy(block, 32, blockNo * 0x80, (blockNo + 1) * 0x80);
+                block.writeUInt32LE(0x0AB16F30, 508);
+                return block;
+            });
+            return Buffer.concat(blocks);
+        };
+
+        [
+            ['ELF', toElf],
+            ['UF2', toUf2],
+            ['raw binary', () => ({ file: data, format: 'bin', baseAddress: address })],
+        ].forEach(([format, toFirmware]) => {
+            it(`loads ${format} images`, async () => {
+                const { read } = await unzip(await createDfuPackage({ application: toFirmware() }));
+
+                expect((await read('application')).bin).toEqual(data);
+            });
+        });
+
+        it('requires a base address for raw binaries', async () => {
+            await expect(createDfuPackage({ application: { file: data, format: 'bin' } }))
+                .rejects.toThrow(/baseAddress/);
+        });
+    });
+});
+
+describe('readDfuPackage', () => {
+    it('sorts the updates in the order nrfutil sends them', async () => {
+        const zip = new JSZip();
+        const names = ['application', 'bootloader', 'softdevice'];
+        const manifest = {};
+        names.forEach(name => {
+            zip.file(`${name}.bin`, Buffer.from(name));
+            zip.file(`${name}.dat`, Buffer.from([0]));
+            manifest[name] = { bin_file: `${name}.bin`, dat_file: `${name}.dat` };
+        });
+        zip.file('manifest.json', JSON.stringify({ manifest }));
+        const updates = await readDfuPackage(await zip.generateAsync({ type: 'nodebuffer' }));
+
+        expect(updates.map(update => update.name))
+            .toEqual(['softdevice', 'bootloader', 'application']);
+        expect(Buffer.from(updates[0].firmwareImage).toString()).toEqual('softdevice');
+    });
+});
+
+describe('loadFirmwareUpdates', () => {
+    it('sends the package as it is instead of creating updates', async () => {
+        const contents = await createDfuPackage({
+            application: APPLICATION,
+            params: { fwVersion: 7 },
+        });
+        const { dat, bin } = await (await unzip(contents)).read('application');
+        const updates = await loadFirmwareUpdates({ package: contents, params: { fwVersion: 1 } });
+
+        expect(updates.map(update => update.name)).toEqual(['application']);
+        expect(Buffer.from(updates[0].initPacket)).toEqual(dat);
+        expect(Buffer.from(updates[0].firmwareImage)).toEqual(bin);
+    });
+
+    it('creates the updates of HEX files without package', async () => {
+        const updates = await loadFirmwareUpdates({ application: APPLICATION });
+
+        expect(updates.map(update => update.name)).toEqual(['application']);
+        expect(updates[0].firmwareImage.length).toEqual(0x100);
+    });
+
+    it('rejects definitions with both package and images', async () => {
+        const contents = await createDfuPackage({ application: APPLICATION });
+
+        await expect(loadFirmwareUpdates({ package: contents, application: APPLICATION }))
+            .rejects.toThrow('Either package or application, softdevice and bootloader can be set');
+        await expect(loadFirmwareUpdates({ package: contents, softdevice: SOFTDEVICE }))
+            .rejects.toThrow(/Either package/);
+    });
+});
@@ -0,0 +1,116 @@
+/* Copyright (c) 2010 - 2018, Nordic Semiconductor ASA
+ *
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice, this
+ *    list of conditions and the following disclaimer.
+ *
+ * 2. Redistributions in binary form must reproduce the above copyright
+ *    notice, this list of conditions and the following disclaimer in the
+ *    documentation and/or other materials provided with the distribution.
+ *
+ * 3. Neither the name of Nordic Semiconductor ASA nor the names of its
+ *    contributors may be used to endorse or promote products derived from this
+ *    software without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY, AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL NORDIC SEMICONDUCTOR ASA OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+
+const MemoryMap = require('nrf-intel-hex');
+const { findImageOverlaps, validateImageLayout } = require('../');
+
+const hexOf = blocks => Buffer.from(new MemoryMap(blocks).asHexString());
+const bytes = size => new Uint8Array(size).fill(0xAA);
+
+const LAYOUT = {
+    flashSize: 0x100000,
+    flashPageSize: 0x1000,
+    softdevice: { start: 0x1000, end: 0x26000 },
+    bootloader: { start: 0xE0000, end: 0xFE000 },
+};
+
+describe('validateImageLayout', () => {
+    it('accepts an application between SoftDevice and bootloader', () => {
+        const { errors, warnings, images } = validateImageLayout({
+            application: hexOf({ 0x26000: bytes(0x1000) }),
+        }, LAYOUT);
+
+        expect(errors).toEqual([]);
+        expect(warnings).toEqual([]);
+        expect(images).toEqual([{ name: 'application', start: 0x26000, end: 0x27000 }]);
+    });
+
+    it('rejects an application spanning the SoftDevice', () => {
+        const { errors } = validateImageLayout({
+            application: hexOf({ 0x800: bytes(0x10), 0x30000: bytes(0x10) }),
+        }, LAYOUT);
+
+        expect(errors).toEqual([
+            'application (0x800-0x30010) overlaps the MBR region (0x0-0x1000)',
+            'application (0x800-0x30010) overlaps the SoftDevice region (0x1000-0x26000)',
+        ]);
+    });
+
+    it('checks against the regions of configured images', () => {
+        const { errors } = validateImageLayout({
+            softdevice: hexOf({ 0: bytes(0x1000), 0x1000: bytes(0x30000) }),
+            application: hexOf({ 0x26000: bytes(0x1000) }),
+        }, LAYOUT);
+
+        expect(errors).toEqual([
+            'application (0x26000-0x27000) overlaps the SoftDevice region (0x1000-0x31000)',
+        ]);
+    });
+
+    it('warns about UICR and out of flash records', () => {
+        const { errors, warnings } = validateImageLayout({
+            bootloader: hexOf({
+                0xE0000: bytes(0x100),
+                0x200000: bytes(0x10),
+                0x10001014: bytes(4),
+            }),
+        }, LAYOUT);
+
+        expect(errors).toEqual([]);
+        expect(warnings).toEqual([
+            'bootloader contains UICR records at 0x10001014-0x10001018, they are not programmed by DFU',
+            'bootloader contains records at 0x200000-0x200010 beyond the flash size 0x100000, they are left out',
+        ]);
+    });
+
+    it('does not check DFU packages', () => {
+        expect(validateImageLayout({ package: 'release.zip' }, LAYOUT).errors).toEqual([]);
+    });
+});
+
+describe('findImageOverlaps', () => {
+    it('reports where the records of images overlap', () => {
+        expect(findImageOverlaps({
+            softdevice: hexOf({ 0: bytes(0x1000), 0x1000: bytes(0x25000) }),
+            application: hexOf({ 0x25F00: bytes(0x1000) }),
+            settings: hexOf({ 0xFF000: bytes(0x5C) }),
+        })).toEqual([
+            { names: ['softdevice', 'application'], start: 0x25F00, end: 0x26000 },
+        ]);
+    });
+
+    it('ignores gaps between records', () => {
+        expect(findImageOverlaps({
+            bootloader: hexOf({ 0xE0000: bytes(0x100), 0x10001014: bytes(4) }),
+            application: hexOf({ 0x26000: bytes(0x1000) }),
+        })).toEqual([]);
+    });
+});
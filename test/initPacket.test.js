@@ -0,0 +1,176 @@
+/* Copyright (c) 2010 - 2018, Nordic Semiconductor ASA
+ *
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice, this
+ *    list of conditions and the following disclaimer.
+ *
+ * 2. Redistributions in binary form must reproduce the above copyright
+ *    notice, this list of conditions and the following disclaimer in the
+ *    documentation and/or other materials provided with the distribution.
+ *
+ * 3. Neither the name of Nordic Semiconductor ASA nor the names of its
+ *    contributors may be used to endorse or promote products derived from this
+ *    software without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY, AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL NORDIC SEMICONDUCTOR ASA OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+
+const crypto = require('crypto');
+const { initPacket } = require('../');
+
+const {
+    InitPacket,
+    FwType,
+    HashType,
+    createInitPacketBuffer,
+    createSignedInitPacketUint8Array,
+    verifyInitPacket,
+    calculateFirmwareHash,
+    parseInitPacket,
+    verifyInitPacketHash,
+} = initPacket;
+
+const PACKET_PARAMS = new InitPacket()
+    .set('fwType', FwType.APPLICATION)
+    .set('fwVersion', 4)
+    .set('hwVersion', 52)
+    .set('hashType', HashType.SHA256)
+    .set('hash', Buffer.alloc(32, 0xAB))
+    .set('appSize', 1024)
+    .set('sdReq', [0xA5]);
+
+const keyPairOf = type => crypto.generateKeyPairSync(type, type === 'ec' ? { namedCurve: 'P-256' } : {});
+const toPem = key => key.export({ type: key.type === 'private' ? 'pkcs8' : 'spki', format: 'pem' });
+
+describe('init packet signing', () => {
+    ['ec', 'ed25519'].forEach(type => {
+        it(`creates packets signed with ${type} key that verify against the public key`, () => {
+            const { privateKey, publicKey } = keyPairOf(type);
+            const packet = createSignedInitPacketUint8Array(PACKET_PARAMS, toPem(privateKey));
+
+            expect(verifyInitPacket(packet, toPem(publicKey))).toEqual(true);
+            expect(verifyInitPacket(packet, keyPairOf(type).publicKey)).toEqual(false);
+        });
+
+        it(`creates signed buffers with ${type} key by createInitPacketBuffer`, () => {
+            const { privateKey, publicKey } = keyPairOf(type);
+            const packet = createInitPacketBuffer(
+                4, 52, [0xA5], FwType.APPLICATION, 0, 0, 1024,
+                HashType.SHA256, Buffer.alloc(32, 0xAB), false,
+                undefined, undefined, privateKey,
+            );
+
+            expect(verifyInitPacket(packet, publicKey)).toEqual(true);
+        });
+    });
+
+    it('detects a modified packet', () => {
+        const { privateKey, publicKey } = keyPairOf('ed25519');
+        const packet = createSignedInitPacketUint8Array(PACKET_PARAMS, privateKey);
+        const tampered = createSignedInitPacketUint8Array(PACKET_PARAMS.set('appSize', 1025), privateKey);
+        const signature = packet.slice(packet.length - 64);
+        const forged = new Uint8Array([...tampered.slice(0, tampered.length - 64), ...signature]);
+
+        expect(verifyInitPacket(forged, publicKey)).toEqual(false);
+    });
+
+    it('does not verify unsigned packets', () => {
+        const { publicKey } = keyPairOf('ec');
+        const packet = initPacket.createInitPacketUint8Array(PACKET_PARAMS);
+
+        expect(verifyInitPacket(packet, publicKey)).toEqual(false);
+    });
+
+    it('signs with an ECDSA P-256 key in the byte order of the bootloader', () => {
+        const { privateKey, publicKey } = keyPairOf('ec');
+        const packet = Buffer.from(createSignedInitPacketUint8Array(PACKET_PARAMS, privateKey));
+        // the unsigned packet is the tag and length of the command, followed by the command
+        const unsigned = Buffer.from(initPacket.createInitPacketUint8Array(PACKET_PARAMS));
+        const command = unsigned.slice(2);
+        expect(unsigned[1]).toEqual(command.length);
+        expect(packet.includes(command)).toEqual(true);
+
+        // r and s are stored little-endian, crypto expects them big-endian
+        const signature = packet.slice(packet.length - 64);
+        const bigEndian = Buffer.concat([
+            Buffer.from(signature.slice(0, 32)).reverse(),
+            Buffer.from(signature.slice(32)).reverse(),
+        ]);
+        expect(crypto.verify(
+            'sha256', command, { key: publicKey, dsaEncoding: 'ieee-p1363' }, bigEndian,
+        )).toEqual(true);
+    });
+});
+
+describe('init packet parsing', () => {
+    const firmware = Buffer.from('firmware image contents');
+    const params = PACKET_PARAMS.set('hash', calculateFirmwareHash(HashType.SHA256, firmware));
+
+    it('decodes unsigned packets', () => {
+        const parsed = parseInitPacket(initPacket.createInitPacketUint8Array(params));
+
+        expect(parsed.isSigned).toEqual(false);
+        expect(parsed.fwTypeName).toEqual('APPLICATION');
+        expect(parsed.hashTypeName).toEqual('SHA256');
+        expect(parsed.signatureTypeName).toEqual(null);
+        expect(parsed.initPacket.fwVersion).toEqual(4);
+        expect(parsed.initPacket.hwVersion).toEqual(52);
+        expect(parsed.initPacket.sdReq).toEqual([0xA5]);
+        expect(parsed.initPacket.appSize).toEqual(1024);
+        expect(parsed.initPacket.hash.equals(params.hash)).toEqual(true);
+    });
+
+    it('decodes signed packets', () => {
+        const { privateKey } = keyPairOf('ec');
+        const parsed = parseInitPacket(createSignedInitPacketUint8Array(params, privateKey));
+
+        expect(parsed.isSigned).toEqual(true);
+        expect(parsed.signatureTypeName).toEqual('ECDSA_P256_SHA256');
+        expect(parsed.initPacket.signature.length).toEqual(64);
+    });
+
+    it('rejects reset packets', () => {
+        expect(() => parseInitPacket(initPacket.createResetPacketBuffer(0))).toThrow();
+    });
+
+    it('verifies the embedded hash against the firmware', () => {
+        const packet = initPacket.createInitPacketUint8Array(params);
+
+        expect(verifyInitPacketHash(packet, firmware)).toEqual(true);
+        expect(verifyInitPacketHash(parseInitPacket(packet).initPacket, firmware)).toEqual(true);
+        expect(verifyInitPacketHash(packet, Buffer.from('other firmware'))).toEqual(false);
+    });
+});
+
+describe('firmware hash', () => {
+    const firmware = Buffer.from('123456789');
+
+    it('stores CRC as 32 bit little-endian integer', () => {
+        expect(calculateFirmwareHash(HashType.CRC, firmware).toString('hex')).toEqual('2639f4cb');
+    });
+
+    it('stores SHA-512 digest in reversed byte order', () => {
+        const digest = crypto.createHash('sha512').update(firmware).digest();
+
+        expect(calculateFirmwareHash(HashType.SHA512, firmware))
+            .toEqual(Buffer.from(digest.reverse()));
+    });
+
+    it('rejects unsupported hash types', () => {
+        expect(() => calculateFirmwareHash(HashType.SHA128, firmware)).toThrow(/SHA128/);
+    });
+});
@@ -54,9 +54,28 @@ describe('nrf52', () => {
             .then(device => setupDevice(device, OPTIONS))
             .then(result => {
                 expect(result.details.wasProgrammed).toEqual(true);
+                expect(result.details.method).toEqual('jprog');
+                expect(result.details.firmwareKey).toEqual('nrf52');
+                expect(result.details.deviceInfo).toEqual(result.device.deviceInfo);
                 return result.device;
             })
             .then(device => setupDevice(device, OPTIONS))
             .then(result => expect(result.details.wasProgrammed).toEqual(false))
     ));
+
+    it('is verified by reading back the firmware', () => {
+        const readbackOptions = Object.assign({}, OPTIONS, {
+            jprog: { nrf52: Object.assign({}, OPTIONS.jprog.nrf52, { readback: true }) },
+        });
+        return getJlinkDevice(NRF52_SERIALNUMBER_REGEX)
+            .then(device => eraseJlinkDevice(device))
+            .then(device => setupDevice(device, readbackOptions))
+            .then(result => {
+                expect(result.details.wasProgrammed).toEqual(true);
+                expect(result.details.verification.mismatches).toEqual([]);
+                return result.device;
+            })
+            .then(device => setupDevice(device, readbackOptions))
+            .then(result => expect(result.details.wasProgrammed).toEqual(false));
+    });
 });
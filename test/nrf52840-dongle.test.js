@@ -75,7 +75,12 @@ describe('nrf52840 dongle', () => {
                 return result.device;
             })
             .then(device => setupDevice(device, CONNECTIVITY_OPTIONS))
-            .then(result => expect(result.details.wasProgrammed).toEqual(false))
+            .then(result => {
+                expect(result.details.wasProgrammed).toEqual(false);
+                expect(result.details.method).toEqual('dfu');
+                expect(result.details.firmwareKey).toEqual('pca10059');
+                expect(result.details.semver).toEqual(CONNECTIVITY_OPTIONS.dfu.pca10059.semver);
+            })
     ));
 
     testcase('is set back to bootloader mode', async () => {
@@ -0,0 +1,66 @@
+/* Copyright (c) 2010 - 2018, Nordic Semiconductor ASA
+ *
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice, this
+ *    list of conditions and the following disclaimer.
+ *
+ * 2. Redistributions in binary form must reproduce the above copyright
+ *    notice, this list of conditions and the following disclaimer in the
+ *    documentation and/or other materials provided with the distribution.
+ *
+ * 3. Neither the name of Nordic Semiconductor ASA nor the names of its
+ *    contributors may be used to endorse or promote products derived from this
+ *    software without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY, AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL NORDIC SEMICONDUCTOR ASA OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+
+const nrfjprog = require('pc-nrfjprog-js');
+const { getProgramOptions } = require('../');
+
+describe('getProgramOptions', () => {
+    it('maps the options to those of nrfjprog.program', () => {
+        expect(getProgramOptions({
+            eraseMode: 'pages',
+            qspiEraseMode: 'all',
+            verify: false,
+            reset: 'none',
+        })).toEqual({
+            chip_erase_mode: nrfjprog.ERASE_PAGES,
+            qspi_erase_mode: nrfjprog.ERASE_ALL,
+            verify: false,
+            reset: false,
+        });
+        expect(getProgramOptions({ eraseMode: 'pagesIncludingUicr', reset: 'system' })).toEqual({
+            chip_erase_mode: nrfjprog.ERASE_PAGES_INCLUDING_UICR,
+            reset: true,
+        });
+        expect(getProgramOptions()).toEqual({});
+    });
+
+    it('rejects unknown options', () => {
+        expect(() => getProgramOptions({ erase: 'all' }))
+            .toThrow('Unknown programming option erase, use eraseMode, qspiEraseMode, verify, reset');
+    });
+
+    it('rejects invalid values', () => {
+        expect(() => getProgramOptions({ eraseMode: 'sectors' }))
+            .toThrow('Invalid value sectors of programming option eraseMode');
+        expect(() => getProgramOptions({ reset: 'pin' }))
+            .toThrow('Invalid value pin of programming option reset, use system, none');
+    });
+});
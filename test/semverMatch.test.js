@@ -0,0 +1,82 @@
+/* Copyright (c) 2010 - 2018, Nordic Semiconductor ASA
+ *
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice, this
+ *    list of conditions and the following disclaimer.
+ *
+ * 2. Redistributions in binary form must reproduce the above copyright
+ *    notice, this list of conditions and the following disclaimer in the
+ *    documentation and/or other materials provided with the distribution.
+ *
+ * 3. Neither the name of Nordic Semiconductor ASA nor the names of its
+ *    contributors may be used to endorse or promote products derived from this
+ *    software without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY, AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL NORDIC SEMICONDUCTOR ASA OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+
+const { matchesSemver, parseSemver } = require('../');
+
+const RSSI = 'rssi_cdc_acm 2.0.0+dfuMay-22-2018-10-43-22';
+
+describe('parseSemver', () => {
+    it('splits name and version', () => {
+        expect(parseSemver(RSSI)).toEqual({ name: 'rssi_cdc_acm', version: '2.0.0' });
+        expect(parseSemver('custom firmware')).toEqual({ name: 'custom firmware', version: null });
+    });
+});
+
+describe('matchesSemver', () => {
+    it('matches exact strings and semver ranges', () => {
+        expect(matchesSemver(RSSI, RSSI)).toBe(true);
+        expect(matchesSemver('^2.0.0', RSSI)).toBe(true);
+        expect(matchesSemver('>=2.1.0', RSSI)).toBe(false);
+        expect(matchesSemver('', RSSI)).toBe(false);
+        expect(matchesSemver('^2.0.0', 'custom firmware')).toBe(false);
+    });
+
+    it('ignores the build metadata of versions', () => {
+        expect(matchesSemver('rssi_cdc_acm 2.0.0', RSSI)).toBe(true);
+        expect(matchesSemver('rssi_cdc_acm 2.0.0+dfuJan-01-2019-00-00-00', RSSI)).toBe(true);
+        expect(matchesSemver('rssi_cdc_acm 2.0.1', RSSI)).toBe(false);
+        expect(matchesSemver('ble-connectivity 2.0.0', RSSI)).toBe(false);
+    });
+
+    it('compares the firmware name of name-qualified ranges', () => {
+        expect(matchesSemver('rssi_cdc_acm ^2.0.0', RSSI)).toBe(true);
+        expect(matchesSemver('rssi_cdc_acm >=2.0.0 <3.0.0', RSSI)).toBe(true);
+        expect(matchesSemver('rssi_cdc_acm ^3.0.0', RSSI)).toBe(false);
+        expect(matchesSemver('rssi_cdc_acm ^2.0.0', 'ble-connectivity 2.1.0+dfuMay-22-2018'))
+            .toBe(false);
+        expect(matchesSemver('ble-connectivity ^2.0.0', RSSI)).toBe(false);
+    });
+
+    it('matches regular expressions and predicates', () => {
+        const regex = /^rssi_cdc_acm 2\./g;
+        expect(matchesSemver(regex, RSSI)).toBe(true);
+        expect(matchesSemver(regex, RSSI)).toBe(true);
+        expect(matchesSemver(/^ble-connectivity/, RSSI)).toBe(false);
+
+        const predicate = jest.fn((semver, version) => version === '2.0.0');
+        expect(matchesSemver(predicate, RSSI)).toBe(true);
+        expect(predicate).toHaveBeenCalledWith(RSSI, '2.0.0');
+    });
+
+    it('rejects unsupported semver types', () => {
+        expect(() => matchesSemver(2, RSSI)).toThrow('Unsupported semver 2');
+    });
+});